@@ -0,0 +1,555 @@
+/**
+ * ADMIN
+ *
+ * Authenticated endpoints and a small server-rendered page for the
+ * runtime pricing parameters (see settings.js).
+ *
+ *   GET  /admin                  settings form, audit log
+ *   POST /admin                  form submit: preview or apply
+ *   GET  /admin/api/settings     current settings
+ *   PUT  /admin/api/settings     apply a settings patch
+ *   POST /admin/api/preview      price table for a patch, not applied
+ *   GET  /admin/api/audit        audit log (?limit, newest last)
+ *   GET  /admin/api/inventory    stock, reservations and availability per SKU
+ *   PUT  /admin/api/inventory    set onHand ({ [sku]: units }, local stock only)
+ *   GET  /admin/api/buybacks     buyback requests (?status), newest first
+ *   PUT  /admin/api/buybacks/:id close a pending buyback ({ status: completed | cancelled })
+ *   POST /admin/buybacks/:id     form submit of the same
+ *   POST /admin/api/backtest     replay historical closes: current vs candidate (see backtest.js)
+ *
+ * Admins authenticate with HTTP Basic auth against ADMIN_USERS
+ * ("name:password,name:password"); the name is recorded in the audit log.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const storage = require("./storage");
+const log = require("./logger");
+const { listProducts, getProduct } = require("./catalog");
+const { priceProduct } = require("./pricing");
+const { subtract, percent, ROUND_HALF_UP } = require("./money");
+const { getSettings, previewSettings, updateSettings } = require("./settings");
+const { FLOOR_STRATEGIES } = require("./floor");
+const { listInventory, setOnHand, inventorySource } = require("./inventory");
+const { listDrafts, DRAFT_COMPLETED } = require("./drafts");
+const { BASE_CURRENCY } = require("./currency");
+const { runBacktest, toCsv, addDays } = require("./backtest");
+const {
+  listBuybacks,
+  closeBuyback,
+  BUYBACK_PENDING,
+  BUYBACK_COMPLETED,
+  BUYBACK_CANCELLED,
+  BUYBACK_STATUSES
+} = require("./buybacks");
+
+// Quantities priced in previews (clamped to each SKU's limits)
+const PREVIEW_QUANTITIES = [1, 2, 5, 10, 20, 30, 50];
+
+const AUDIT_PAGE_SIZE = 50;
+
+// Longest backtest range (days), and most quantities priced per day
+const BACKTEST_MAX_DAYS = 731;
+const BACKTEST_MAX_QUANTITIES = 50;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* -----------------------------
+   AUTH
+-------------------------------- */
+
+/* "name:password,name:password" -> Map(name -> password) */
+function parseAdminUsers(value) {
+  const users = new Map();
+  for (const entry of (value || "").split(",")) {
+    const i = entry.indexOf(":");
+    if (i > 0) users.set(entry.slice(0, i).trim(), entry.slice(i + 1));
+  }
+  return users;
+}
+
+/* Constant-time string comparison (hashing first evens out lengths) */
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/* Admin name for a valid Basic auth header, else null */
+function authenticate(users, header) {
+  const [scheme, encoded] = (header || "").split(" ");
+  if (scheme !== "Basic" || !encoded) return null;
+
+  const decoded = Buffer.from(encoded, "base64").toString("utf8");
+  const i = decoded.indexOf(":");
+  if (i < 0) return null;
+
+  const name = decoded.slice(0, i);
+  const password = users.get(name);
+  return password !== undefined && safeEqual(password, decoded.slice(i + 1)) ? name : null;
+}
+
+/* -----------------------------
+   PREVIEW
+-------------------------------- */
+
+function previewQuantities({ minQ, maxQ }) {
+  const qs = new Set([minQ, maxQ]);
+  for (const q of PREVIEW_QUANTITIES) if (q > minQ && q < maxQ) qs.add(q);
+  return [...qs].sort((a, b) => a - b);
+}
+
+/* Change from -> to in percent, 1 decimal half-up */
+function pct(from, to) {
+  return Number.isFinite(from) && Number.isFinite(to)
+    ? percent(subtract(to, from), from, 1, ROUND_HALF_UP)
+    : null;
+}
+
+/**
+ * Current vs candidate price table for every SKU
+ * floorFor(metal, config, window): spot floor for a candidate floor config
+ * Returns { changes, products: [{ sku, title, metal, varS, varSm, rows }] } or { error }
+ */
+function buildPreview(cache, floorFor, patch) {
+  const { settings: candidate, changes, error } = previewSettings(patch);
+  if (error) return { error };
+
+  const products = listProducts().map((product) => {
+    const next = { ...product, ...candidate.products[product.sku] };
+    const varSm = {
+      current: cache.metals[product.metal]?.varSm ?? null,
+      candidate: floorFor(product.metal, candidate.floors[product.metal], candidate.varE).varSm
+    };
+
+    const rows = previewQuantities(product).map((varQ) => {
+      const now = priceProduct(cache, varQ, product, { varSm: varSm.current });
+      const then = priceProduct(cache, varQ, next, { varSm: varSm.candidate });
+
+      return {
+        varQ,
+        current: now && { varTu: now.varTu, varTd: now.varTd },
+        candidate: then && { varTu: then.varTu, varTd: then.varTd },
+        changePct: pct(now?.varTd, then?.varTd)
+      };
+    });
+
+    return {
+      sku: product.sku,
+      title: product.title,
+      metal: product.metal,
+      varS: cache.metals[product.metal]?.varS ?? null,
+      varSm,
+      rows
+    };
+  });
+
+  return { changes, products };
+}
+
+/* -----------------------------
+   BACKTEST
+-------------------------------- */
+
+function isDate(v) {
+  return typeof v === "string" && DATE_RE.test(v) && Number.isFinite(Date.parse(v));
+}
+
+/**
+ * Check a backtest request body
+ * { sku, from, to, quantities?, candidate?, fetch?, format? }
+ * Returns { product, from, to, quantities, candidate, changes, fetch, format } or { error }
+ */
+function parseBacktest(body) {
+  const product = getProduct(body.sku);
+  if (!product) return { error: "unknown product" };
+
+  const { from, to } = body;
+  if (!isDate(from) || !isDate(to) || from > to) {
+    return { error: "from and to must be YYYY-MM-DD dates, from <= to" };
+  }
+  if (to > addDays(from, BACKTEST_MAX_DAYS - 1)) {
+    return { error: `range must be at most ${BACKTEST_MAX_DAYS} days` };
+  }
+
+  const quantities = body.quantities ?? previewQuantities(product);
+  if (!Array.isArray(quantities) || !quantities.length || quantities.length > BACKTEST_MAX_QUANTITIES ||
+      !quantities.every((q) => Number.isInteger(q) && q > 0)) {
+    return { error: `quantities must be 1-${BACKTEST_MAX_QUANTITIES} positive integers` };
+  }
+
+  const format = body.format ?? "json";
+  if (!["json", "csv"].includes(format)) return { error: "format must be json or csv" };
+
+  const { settings: candidate, changes, error } = previewSettings(body.candidate ?? {});
+  if (error) return { error };
+
+  return { product, from, to, quantities, candidate, changes, fetch: body.fetch === true, format };
+}
+
+/* -----------------------------
+   PAGE
+-------------------------------- */
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function fmt(v) {
+  return v === null || v === undefined ? "—" : esc(v);
+}
+
+/* Flattened leaf fields: [[path, value]] */
+function fields(obj, prefix = "") {
+  return Object.entries(obj).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value !== null && typeof value === "object"
+      ? fields(value, path)
+      : [[path, value]];
+  });
+}
+
+/* Form value: empty -> null, numeric -> number, else the string (strategy, timestamps) */
+function parseFormValue(raw) {
+  const value = String(raw).trim();
+  if (value === "") return null;
+  return Number.isFinite(Number(value)) ? Number(value) : value;
+}
+
+/* Form body -> settings patch holding only the fields that changed */
+function patchFromForm(body, settings) {
+  const patch = {};
+
+  for (const [path, value] of fields(settings)) {
+    if (!(path in body)) continue;
+
+    const parsed = parseFormValue(body[path]);
+    if (parsed === value) continue;
+
+    const keys = path.split(".");
+    let node = patch;
+    for (const key of keys.slice(0, -1)) node = node[key] = node[key] || {};
+    node[keys[keys.length - 1]] = parsed;
+  }
+
+  return patch;
+}
+
+function renderPage({ admin, csrf, base, values, message, error, preview }) {
+  const settings = getSettings();
+  const audit = storage.getAuditLog({ limit: AUDIT_PAGE_SIZE }).reverse();
+  const inventory = listInventory();
+  const buybacks = listBuybacks({ status: BUYBACK_PENDING });
+
+  const closeButton = (b, status, label) => `
+      <form method="post" action="${esc(base)}/buybacks/${esc(b.id)}" style="display:inline">
+        <input type="hidden" name="csrf" value="${esc(csrf)}">
+        <button name="status" value="${status}">${label}</button>
+      </form>`;
+
+  const input = (path, value) =>
+    `<label>${esc(path)} <input name="${esc(path)}" value="${esc(values?.[path] ?? value)}"></label>`;
+
+  const previewHtml = preview ? `
+    <h2>Preview</h2>
+    <ul>${preview.changes.map((c) =>
+      `<li>${esc(c.field)}: ${fmt(c.from)} → ${fmt(c.to)}</li>`).join("") || "<li>No changes</li>"}</ul>
+    ${preview.products.map((p) => `
+      <h3>${esc(p.title)} (${esc(p.sku)}, ${esc(p.metal)} spot ${fmt(p.varS)},
+        floor ${fmt(p.varSm.current)} → ${fmt(p.varSm.candidate)})</h3>
+      <table>
+        <tr><th>varQ</th><th>varTu now</th><th>varTd now</th><th>varTu new</th><th>varTd new</th><th>Δ %</th></tr>
+        ${p.rows.map((r) => `
+          <tr><td>${r.varQ}</td><td>${fmt(r.current?.varTu)}</td><td>${fmt(r.current?.varTd)}</td>
+          <td>${fmt(r.candidate?.varTu)}</td><td>${fmt(r.candidate?.varTd)}</td><td>${fmt(r.changePct)}</td></tr>`).join("")}
+      </table>`).join("")}` : "";
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>ENGINE admin</title>
+  <style>
+    body { font: 14px sans-serif; margin: 2em; }
+    fieldset { margin-bottom: 1em; }
+    label { display: inline-block; margin: 0 1em 0.5em 0; }
+    input { width: 7em; }
+    table { border-collapse: collapse; margin-bottom: 1em; }
+    td, th { border: 1px solid #ccc; padding: 2px 8px; text-align: right; }
+    .error { color: #b00; }
+    .message { color: #070; }
+  </style>
+</head>
+<body>
+  <h1>Pricing parameters</h1>
+  <p>Signed in as ${esc(admin)}</p>
+  ${error ? `<p class="error">${esc(error)}</p>` : ""}
+  ${message ? `<p class="message">${esc(message)}</p>` : ""}
+
+  <form method="post" action="">
+    <input type="hidden" name="csrf" value="${esc(csrf)}">
+    <fieldset><legend>Market data</legend>
+      ${input("varE", settings.varE)}
+      ${input("varF", settings.varF)}
+    </fieldset>
+    <fieldset><legend>Spot floors (varSm): strategy ${esc(FLOOR_STRATEGIES.join(" | "))}, manualExpiresAt ISO or empty</legend>
+      ${fields({ floors: settings.floors }).map(([path, value]) => input(path, value)).join("")}
+    </fieldset>
+    ${Object.entries(settings.products).map(([sku, params]) => `
+    <fieldset><legend>${esc(sku)}</legend>
+      ${fields({ products: { [sku]: params } }).map(([path, value]) => input(path, value)).join("")}
+    </fieldset>`).join("")}
+    <button name="action" value="preview">Preview</button>
+    <button name="action" value="apply">Apply</button>
+  </form>
+
+  ${previewHtml}
+
+  <h2>Inventory (${esc(inventorySource())})</h2>
+  <table>
+    <tr><th>SKU</th><th>On hand</th><th>Reserved</th><th>Available</th><th>Updated</th></tr>
+    ${inventory.map((i) => `
+    <tr><td>${esc(i.sku)}</td><td>${i.onHand}</td><td>${i.reserved}</td><td>${i.available}</td><td>${esc(i.updatedAt)}</td></tr>`).join("")}
+  </table>
+
+  <h2>Pending buybacks</h2>
+  <table>
+    <tr><th>Requested</th><th>Customer</th><th>Lines</th><th>Total</th><th>Note</th><th></th></tr>
+    ${buybacks.map((b) => `
+    <tr><td>${esc(b.createdAt)}</td><td>${esc(b.shop)} #${esc(b.customerId)}</td>
+    <td>${b.lines.map((l) => `${esc(l.sku)} × ${l.varQ} @ ${fmt(l.varTu)}`).join("<br>")}</td>
+    <td>${fmt(b.varTd)}</td><td>${esc(b.note)}</td>
+    <td>${closeButton(b, BUYBACK_COMPLETED, "Paid")}${closeButton(b, BUYBACK_CANCELLED, "Cancel")}</td></tr>`).join("")}
+  </table>
+
+  <h2>Audit log</h2>
+  <table>
+    <tr><th>At</th><th>Admin</th><th>Changes</th></tr>
+    ${audit.map((a) => `
+    <tr><td>${esc(a.at)}</td><td>${esc(a.actor)}</td>
+    <td>${a.changes.map((c) => `${esc(c.field)}: ${fmt(c.from)} → ${fmt(c.to)}`).join("<br>")}</td></tr>`).join("")}
+  </table>
+</body>
+</html>`;
+}
+
+/* -----------------------------
+   ROUTER
+-------------------------------- */
+
+function auditBuyback(admin, { buyback, previous }) {
+  storage.recordAudit({
+    actor: admin,
+    changes: [{ field: `buyback.${buyback.id}`, from: previous, to: buyback.status }]
+  });
+}
+
+/**
+ * cache: live market cache (previews price against the current spot)
+ * users: Map(name -> password), see parseAdminUsers
+ * secret: key for the form CSRF token
+ * floorFor(metal, config, window): spot floor for a floor config (previews)
+ * getCloses(metal, from, to, { fetch }): historical closes (backtests, see chart.js)
+ * floorLookbackDays: closes before each day its floor is computed from
+ */
+function createAdminRouter({ cache, users, secret, floorFor, getCloses, floorLookbackDays }) {
+  const router = express.Router();
+
+  const csrfToken = (admin) =>
+    crypto.createHmac("sha256", secret).update(`admin-csrf:${admin}`).digest("hex");
+
+  router.use((req, res, next) => {
+    res.setHeader("Cache-Control", "no-store");
+
+    if (!users.size) {
+      return res.status(503).json({ error: "admin disabled, ADMIN_USERS not set" });
+    }
+
+    const admin = authenticate(users, req.get("Authorization"));
+    if (!admin) {
+      res.setHeader("WWW-Authenticate", 'Basic realm="ENGINE admin"');
+      return res.status(401).json({ error: "admin authentication required" });
+    }
+
+    req.admin = admin;
+    next();
+  });
+
+  /* ---------- JSON API ---------- */
+
+  router.get("/api/settings", (req, res) => {
+    res.json(getSettings());
+  });
+
+  router.put("/api/settings", (req, res) => {
+    const { settings, changes, error } = updateSettings(req.body, req.admin);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ settings, changes });
+  });
+
+  router.post("/api/preview", (req, res) => {
+    const preview = buildPreview(cache, floorFor, req.body);
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
+    }
+    res.json(preview);
+  });
+
+  router.get("/api/audit", (req, res) => {
+    const limit = Number(req.query.limit) || AUDIT_PAGE_SIZE;
+    res.json({ entries: storage.getAuditLog({ limit }) });
+  });
+
+  router.get("/api/inventory", (req, res) => {
+    res.json({ source: inventorySource(), items: listInventory() });
+  });
+
+  router.put("/api/inventory", (req, res) => {
+    if (inventorySource() !== "local") {
+      return res.status(409).json({ error: `stock is synced from ${inventorySource()}` });
+    }
+
+    const entries = Object.entries(req.body || {});
+    for (const [sku, onHand] of entries) {
+      if (!getProduct(sku)) {
+        return res.status(400).json({ error: "unknown product", sku });
+      }
+      if (!Number.isInteger(onHand) || onHand < 0) {
+        return res.status(400).json({ error: "onHand must be an integer >= 0", sku });
+      }
+    }
+
+    const changes = entries.map(([sku, onHand]) => ({
+      field: `inventory.${sku}`,
+      from: setOnHand(sku, onHand),
+      to: onHand
+    }));
+    if (changes.length) storage.recordAudit({ actor: req.admin, changes });
+
+    res.json({ items: listInventory(), changes });
+  });
+
+  router.get("/api/buybacks", (req, res) => {
+    const status = req.query.status || null;
+    if (status && !BUYBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${BUYBACK_STATUSES.join(", ")}` });
+    }
+    res.json({ buybacks: listBuybacks({ status }) });
+  });
+
+  router.put("/api/buybacks/:id", (req, res) => {
+    const result = closeBuyback(req.params.id, req.body?.status, req.admin);
+    if (result.error) {
+      return res.status(result.error === "unknown buyback" ? 404 : 400).json({ error: result.error });
+    }
+
+    auditBuyback(req.admin, result);
+    res.json({ buyback: result.buyback });
+  });
+
+  router.post("/api/backtest", async (req, res) => {
+    const params = parseBacktest(req.body || {});
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
+
+    const { product, from, to, quantities, candidate, changes, fetch, format } = params;
+
+    let closes;
+    try {
+      closes = await getCloses(product.metal, addDays(from, -floorLookbackDays), to, { fetch });
+    } catch (err) {
+      log.error("Backtest closes unavailable", { metal: product.metal, err });
+      return res.status(502).json({ error: "market data unavailable" });
+    }
+
+    // Draft lines are priced in their presentment currency; only USD ones compare
+    const orders = listDrafts({ status: DRAFT_COMPLETED })
+      .filter((d) => !d.currency || d.currency === BASE_CURRENCY);
+
+    const result = runBacktest({
+      product,
+      closes,
+      from,
+      to,
+      current: getSettings(),
+      candidate,
+      quantities,
+      orders,
+      lookbackDays: floorLookbackDays
+    });
+
+    if (format === "csv") {
+      return res.type("text/csv").send(toCsv(result));
+    }
+    res.json({ ...result, changes });
+  });
+
+  /* ---------- Page ---------- */
+
+  router.get("/", (req, res) => {
+    const message = req.query.applied !== undefined
+      ? `Applied ${Number(req.query.applied) || 0} change(s)`
+      : null;
+    res.type("html").send(renderPage({
+      admin: req.admin,
+      csrf: csrfToken(req.admin),
+      base: req.baseUrl,
+      message
+    }));
+  });
+
+  router.post("/buybacks/:id", express.urlencoded({ extended: false }), (req, res) => {
+    if (typeof req.body.csrf !== "string" || !safeEqual(req.body.csrf, csrfToken(req.admin))) {
+      return res.status(403).json({ error: "invalid form token" });
+    }
+
+    const result = closeBuyback(req.params.id, req.body.status, req.admin);
+    if (result.error) {
+      return res.status(400).type("html").send(renderPage({
+        admin: req.admin,
+        csrf: csrfToken(req.admin),
+        base: req.baseUrl,
+        error: result.error
+      }));
+    }
+
+    auditBuyback(req.admin, result);
+    res.redirect(303, req.baseUrl);
+  });
+
+  router.post("/", express.urlencoded({ extended: false }), (req, res) => {
+    const csrf = csrfToken(req.admin);
+    if (typeof req.body.csrf !== "string" || !safeEqual(req.body.csrf, csrf)) {
+      return res.status(403).json({ error: "invalid form token" });
+    }
+
+    const patch = patchFromForm(req.body, getSettings());
+    const page = { admin: req.admin, csrf, base: req.baseUrl, values: req.body };
+
+    if (req.body.action === "apply") {
+      const { changes, error } = updateSettings(patch, req.admin);
+      if (error) {
+        return res.status(400).type("html").send(renderPage({ ...page, error }));
+      }
+      return res.redirect(303, `${req.baseUrl}?applied=${changes.length}`);
+    }
+
+    const preview = buildPreview(cache, floorFor, patch);
+    if (preview.error) {
+      return res.status(400).type("html").send(renderPage({ ...page, error: preview.error }));
+    }
+    res.type("html").send(renderPage({ ...page, preview }));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  parseAdminUsers,
+  safeEqual
+};
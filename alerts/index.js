@@ -0,0 +1,325 @@
+/**
+ * PRICE ALERTS
+ *
+ * Customer subscriptions, evaluated after every spot refresh:
+ * - price    spot varS crosses threshold (direction "above" | "below")
+ * - change   1-day move varCdp reaches threshold % (direction "up" | "down" | "either")
+ *
+ * Notifications go through one pluggable sender (ALERT_SENDER):
+ *   send({ to, subject, text, alert, market }) -> Promise, rejects on failure
+ * - webhook   signed JSON POST (see webhookSender.js)
+ * - smtp      email (see smtpSender.js)
+ *
+ * Alerts go to the customer's Shopify account email, looked up by the
+ * caller (see server.js): a request can never name another recipient.
+ *
+ * Anti-spam:
+ * - Price alerts fire on a crossing only, then re-arm once the spot is
+ *   back REARM_PCT on the other side of the threshold
+ * - Change alerts fire at most once per market day (ET)
+ * - Per-alert cooldown and a per-recipient daily cap
+ *
+ * Persisted through storage.js.
+ */
+
+const crypto = require("crypto");
+
+const storage = require("../storage");
+const log = require("../logger");
+const { createWebhookSender } = require("./webhookSender");
+const { createSmtpSender } = require("./smtpSender");
+
+const DOC = "alerts";
+
+const ALERT_PRICE  = "price";
+const ALERT_CHANGE = "change";
+
+const DIRECTIONS = {
+  [ALERT_PRICE]: ["above", "below"],
+  [ALERT_CHANGE]: ["up", "down", "either"]
+};
+
+const MAX_ALERTS_PER_CUSTOMER = 10;
+const COOLDOWN_MINUTES = 60;
+const MAX_PER_RECIPIENT_PER_DAY = 5;
+
+// Price alerts re-arm this far (%) back across the threshold
+const REARM_PCT = 0.5;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/* -----------------------------
+   SENDERS
+-------------------------------- */
+
+// name -> (env) => sender; throws when required configuration is missing
+const SENDERS = {
+  webhook: (env) => {
+    if (!env.ALERT_WEBHOOK_URL) throw new Error("webhook sender needs ALERT_WEBHOOK_URL");
+    return createWebhookSender({
+      url: env.ALERT_WEBHOOK_URL,
+      secret: env.ALERT_WEBHOOK_SECRET || env.SHOPIFY_APP_SECRET
+    });
+  },
+
+  smtp: (env) => {
+    if (!env.SMTP_HOST || !env.ALERT_FROM) throw new Error("smtp sender needs SMTP_HOST and ALERT_FROM");
+    return createSmtpSender({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.ALERT_FROM
+    });
+  }
+};
+
+function createSender(name, env = process.env) {
+  const factory = SENDERS[name];
+  if (!factory) throw new Error(`Unknown alert sender "${name}"`);
+  return factory(env);
+}
+
+let sender = null;
+
+function useSender(s) {
+  sender = s;
+}
+
+function alertsEnabled() {
+  return sender !== null;
+}
+
+/* -----------------------------
+   STATE
+-------------------------------- */
+
+// Loaded lazily from storage, then kept in memory (keyed by alert id)
+let alerts = null;
+
+function load() {
+  if (!alerts) alerts = storage.readDoc(DOC) || {};
+  return alerts;
+}
+
+function persist() {
+  storage.writeDoc(DOC, alerts);
+}
+
+// `${email}|${day}` -> notifications sent (in memory, today only)
+const recipientCounts = new Map();
+
+function takeRecipientQuota(email, day) {
+  for (const key of recipientCounts.keys()) {
+    if (!key.endsWith(`|${day}`)) recipientCounts.delete(key);
+  }
+
+  const key = `${email}|${day}`;
+  const count = recipientCounts.get(key) || 0;
+  if (count >= MAX_PER_RECIPIENT_PER_DAY) return false;
+
+  recipientCounts.set(key, count + 1);
+  return true;
+}
+
+function returnRecipientQuota(email, day) {
+  const key = `${email}|${day}`;
+  if (recipientCounts.get(key) > 0) recipientCounts.set(key, recipientCounts.get(key) - 1);
+}
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+const etDateFormat = new Intl.DateTimeFormat("en-CA", { timeZone: "America/New_York" });
+
+/* Market day (ET), "YYYY-MM-DD" */
+function marketDay(now) {
+  return etDateFormat.format(now);
+}
+
+function conditionMet(alert, { varS, varCdp }) {
+  if (alert.type === ALERT_PRICE) {
+    return alert.direction === "above" ? varS >= alert.threshold : varS <= alert.threshold;
+  }
+
+  if (!Number.isFinite(varCdp)) return false;
+  if (alert.direction === "up") return varCdp >= alert.threshold;
+  if (alert.direction === "down") return varCdp <= -alert.threshold;
+  return Math.abs(varCdp) >= alert.threshold;
+}
+
+function backAcross(alert, { varS }) {
+  const band = alert.threshold * REARM_PCT / 100;
+  return alert.direction === "above"
+    ? varS < alert.threshold - band
+    : varS > alert.threshold + band;
+}
+
+function notification(alert, market) {
+  const name = alert.metal[0].toUpperCase() + alert.metal.slice(1);
+
+  const subject = alert.type === ALERT_PRICE
+    ? `${name} is ${alert.direction} ${alert.threshold.toFixed(2)} USD/oz`
+    : `${name} moved ${market.varCdp > 0 ? "+" : ""}${market.varCdp}% today`;
+
+  const text = [
+    subject,
+    "",
+    `Spot: ${market.varS} USD/oz`,
+    `Change today: ${market.varCdp ?? "n/a"}%`,
+    "",
+    "You are receiving this because you set a price alert in your account."
+  ].join("\n");
+
+  return { to: alert.email, subject, text, alert: publicAlert(alert), market };
+}
+
+/* UI-safe alert */
+function publicAlert(a) {
+  return {
+    id: a.id,
+    metal: a.metal,
+    type: a.type,
+    direction: a.direction,
+    threshold: a.threshold,
+    email: a.email,
+    armed: a.armed,
+    createdAt: a.createdAt,
+    lastSentAt: a.lastSentAt
+  };
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Validate an alert request body (an email in it is ignored)
+ * metals: tracked metals
+ * Returns { fields } or { error }
+ */
+function parseAlert(body, metals) {
+  const { metal, type, direction } = body || {};
+  const threshold = Number(body?.threshold);
+
+  if (!metals.includes(metal)) return { error: "unsupported metal" };
+  if (typeof type !== "string" || !Object.hasOwn(DIRECTIONS, type)) return { error: "type must be price or change" };
+  if (!DIRECTIONS[type].includes(direction)) {
+    return { error: `direction must be one of ${DIRECTIONS[type].join(", ")}` };
+  }
+  if (!Number.isFinite(threshold) || threshold <= 0) return { error: "invalid threshold" };
+
+  return { fields: { metal, type, direction, threshold } };
+}
+
+/**
+ * Create a customer's alert
+ * email: the customer's account email (from Shopify, not the request)
+ * market: current { varS, varCdp }; a price alert already past its threshold
+ * starts disarmed, so it fires on the next crossing rather than at once
+ * Returns { alert } or { error }
+ */
+function createAlert({ shop, customerId, email }, fields, market) {
+  if (typeof email !== "string" || !EMAIL_RE.test(email.trim())) {
+    return { error: "customer has no valid email" };
+  }
+  if (listAlerts({ shop, customerId }).length >= MAX_ALERTS_PER_CUSTOMER) {
+    return { error: "too many alerts", maxAlerts: MAX_ALERTS_PER_CUSTOMER };
+  }
+
+  const alert = {
+    id: crypto.randomBytes(8).toString("hex"),
+    shop,
+    customerId,
+    ...fields,
+    email: email.trim().toLowerCase(),
+    armed: fields.type !== ALERT_PRICE || !conditionMet(fields, market),
+    createdAt: new Date().toISOString(),
+    lastSentAt: null,
+    lastSentDay: null
+  };
+
+  load()[alert.id] = alert;
+  persist();
+  return { alert: publicAlert(alert) };
+}
+
+function listAlerts({ shop, customerId }) {
+  return Object.values(load())
+    .filter((a) => a.shop === shop && a.customerId === customerId)
+    .map(publicAlert);
+}
+
+/* Returns true if the customer's alert existed */
+function deleteAlert({ shop, customerId }, id) {
+  const alert = load()[id];
+  if (!alert || alert.shop !== shop || alert.customerId !== customerId) return false;
+
+  delete alerts[id];
+  persist();
+  return true;
+}
+
+/**
+ * Check one metal's alerts against fresh market values and notify
+ * market: { varS, varCdp }
+ * Returns the number of notifications sent
+ */
+async function evaluateAlerts(metal, market, now = new Date()) {
+  if (!sender || !Number.isFinite(market.varS)) return 0;
+
+  const day = marketDay(now);
+  let sent = 0;
+  let changed = false;
+
+  for (const alert of Object.values(load())) {
+    if (alert.metal !== metal) continue;
+
+    if (alert.type === ALERT_PRICE && !alert.armed) {
+      if (backAcross(alert, market)) {
+        alert.armed = true;
+        changed = true;
+      }
+      continue;
+    }
+
+    if (alert.type === ALERT_CHANGE && alert.lastSentDay === day) continue;
+    if (!conditionMet(alert, market)) continue;
+    if (alert.lastSentAt && now - Date.parse(alert.lastSentAt) < COOLDOWN_MINUTES * 60 * 1000) continue;
+    if (!takeRecipientQuota(alert.email, day)) continue;
+
+    try {
+      await sender.send(notification(alert, market));
+    } catch (err) {
+      // Stays armed: retried on the next refresh
+      returnRecipientQuota(alert.email, day);
+      log.error("Alert delivery failed", { alertId: alert.id, sender: sender.name, err });
+      continue;
+    }
+
+    alert.lastSentAt = now.toISOString();
+    alert.lastSentDay = day;
+    if (alert.type === ALERT_PRICE) alert.armed = false;
+    changed = true;
+    sent++;
+  }
+
+  if (changed) persist();
+  return sent;
+}
+
+module.exports = {
+  createSender,
+  useSender,
+  alertsEnabled,
+  parseAlert,
+  createAlert,
+  listAlerts,
+  deleteAlert,
+  evaluateAlerts,
+
+  ALERT_PRICE,
+  ALERT_CHANGE
+};
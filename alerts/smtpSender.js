@@ -0,0 +1,27 @@
+/**
+ * SMTP ALERT SENDER
+ *
+ * Emails each notification as plain text through an SMTP relay.
+ * secure: implicit TLS (port 465); otherwise STARTTLS when offered.
+ */
+
+const nodemailer = require("nodemailer");
+
+function createSmtpSender({ host, port, secure, user, pass, from }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ to, subject, text }) {
+      await transport.sendMail({ from, to, subject, text });
+    }
+  };
+}
+
+module.exports = { createSmtpSender };
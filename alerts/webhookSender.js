@@ -0,0 +1,48 @@
+/**
+ * WEBHOOK ALERT SENDER
+ *
+ * POSTs each notification as JSON to a merchant-configured URL
+ * (e.g. an email / marketing automation hook).
+ *
+ * X-Alert-Signature: hex HMAC-SHA256 of the raw body with `secret`,
+ * so the receiver can check the notification came from this backend.
+ */
+
+const crypto = require("crypto");
+
+const { request } = require("../httpClient");
+
+function createWebhookSender({ url, secret }) {
+  return {
+    name: "webhook",
+
+    async send({ to, subject, text, alert, market }) {
+      const body = JSON.stringify({
+        to,
+        subject,
+        text,
+        alert,
+        market: { varS: market.varS, varCdp: market.varCdp },
+        sentAt: new Date().toISOString()
+      });
+
+      const signature = crypto
+        .createHmac("sha256", secret)
+        .update(body)
+        .digest("hex");
+
+      await request(url, {
+        service: "alert-webhook",
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Alert-Signature": signature
+        },
+        body,
+        expect: "none"
+      });
+    }
+  };
+}
+
+module.exports = { createWebhookSender };
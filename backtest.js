@@ -0,0 +1,242 @@
+/**
+ * PRICING BACKTEST
+ *
+ * Replays historical daily closes through the pricing code to compare the
+ * live parameter set with a candidate one (a settings patch, as in the
+ * admin preview) before it is applied:
+ * - per quantity: average / min / max varTu and average margin over the
+ *   metal value (varS * varG)
+ * - floor: share of days the spot floor varSm priced above the close
+ * - orders: completed draft orders repriced at their day's close
+ *
+ * Each trading day prices at its close, with varSm computed from the closes
+ * before it exactly as server.js floorFor does live. Closes stand in for
+ * the intraday spot, and trading-rule surcharges are not replayed.
+ *
+ * This module:
+ * - Does NOT fetch or store closes (see chart.js getCloses)
+ */
+
+const { priceProduct } = require("./pricing");
+const { computeFloor } = require("./floor");
+const { dedupeConsecutive } = require("./chart");
+const { round, add, subtract, percent, ROUND_HALF_UP } = require("./money");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function round2(v) {
+  return Number.isFinite(v) ? round(v, 2, ROUND_HALF_UP) : null;
+}
+
+/* Change from -> to in percent, 1 decimal half-up */
+function pct(from, to) {
+  return Number.isFinite(from) && Number.isFinite(to)
+    ? percent(subtract(to, from), from, 1, ROUND_HALF_UP)
+    : null;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date + "T00:00:00Z") + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/* { varE, floor, varG, curve } for one SKU out of a full settings object */
+function paramSet(settings, product) {
+  return {
+    varE: settings.varE,
+    floor: settings.floors[product.metal],
+    ...settings.products[product.sku]
+  };
+}
+
+/* Floor in effect on date: closes of the lookback days before it */
+function floorOn(closes, date, set, lookbackDays) {
+  const from = addDays(date, -lookbackDays);
+  const trading = dedupeConsecutive(
+    closes.filter((c) => c.date >= from && c.date < date),
+    (c) => c.value
+  );
+  return computeFloor(trading, set.floor, {
+    window: set.varE,
+    now: Date.parse(date + "T00:00:00Z")
+  }).varSm;
+}
+
+function price(product, set, varQ, varS, varSm, discountQ = varQ) {
+  const cache = { metals: { [product.metal]: { varS } } };
+  return priceProduct(cache, varQ, { ...product, varG: set.varG, curve: set.curve }, {
+    discountQ,
+    varSm
+  });
+}
+
+/* Running min / max / average of unit prices and margins */
+function createStats() {
+  const s = { n: 0, varTu: 0, margin: 0, min: null, max: null };
+  return {
+    add(varTu, marginPct) {
+      s.n++;
+      s.varTu += varTu;
+      s.margin += marginPct;
+      s.min = s.min === null ? varTu : Math.min(s.min, varTu);
+      s.max = s.max === null ? varTu : Math.max(s.max, varTu);
+    },
+    result() {
+      return s.n
+        ? {
+          avgVarTu: round2(s.varTu / s.n),
+          minVarTu: s.min,
+          maxVarTu: s.max,
+          avgMarginPct: round2(s.margin / s.n)
+        }
+        : null;
+    }
+  };
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Replay [from, to] for one product
+ * closes: stored closes [{ date, value }], oldest first, starting lookbackDays before from
+ * current / candidate: full settings objects (see settings.js)
+ * quantities: varQ values priced every day
+ * orders: completed drafts (see drafts.js), only their lines of this SKU are repriced
+ * Returns { sku, metal, from, to, days, floor, rows, orders }
+ */
+function runBacktest({ product, closes, from, to, current, candidate, quantities, orders = [], lookbackDays }) {
+  const sets = {
+    current: paramSet(current, product),
+    candidate: paramSet(candidate, product)
+  };
+
+  const days = dedupeConsecutive(
+    closes.filter((c) => c.date >= from && c.date <= to && Number.isFinite(c.value)),
+    (c) => c.value
+  );
+
+  const stats = new Map(quantities.map((q) => [q, { current: createStats(), candidate: createStats() }]));
+  const floorHits = { current: 0, candidate: 0 };
+  const floorByDate = new Map();
+
+  for (const { date, value: varS } of days) {
+    const varSm = {};
+    for (const [name, set] of Object.entries(sets)) {
+      varSm[name] = floorOn(closes, date, set, lookbackDays);
+      if (Number.isFinite(varSm[name]) && varSm[name] > varS) floorHits[name]++;
+
+      const metalValue = varS * set.varG;
+      for (const varQ of quantities) {
+        const line = price(product, set, varQ, varS, varSm[name]);
+        if (line) stats.get(varQ)[name].add(line.varTu, (line.varTu - metalValue) / metalValue * 100);
+      }
+    }
+    floorByDate.set(date, { varS, varSm });
+  }
+
+  const rows = quantities.map((varQ) => {
+    const current = stats.get(varQ).current.result();
+    const candidate = stats.get(varQ).candidate.result();
+    return { varQ, current, candidate, changePct: pct(current?.avgVarTu, candidate?.avgVarTu) };
+  });
+
+  const floor = {};
+  for (const name of Object.keys(sets)) {
+    floor[name] = {
+      strategy: sets[name].floor.strategy,
+      window: sets[name].varE,
+      hits: floorHits[name],
+      hitRatePct: days.length ? round2(floorHits[name] / days.length * 100) : null
+    };
+  }
+
+  return {
+    sku: product.sku,
+    metal: product.metal,
+    from,
+    to,
+    days: days.length,
+    floor,
+    rows,
+    orders: replayOrders(product, sets, orders, days, floorByDate, from, to)
+  };
+}
+
+/* Completed drafts in range repriced at the last close on or before their day */
+function replayOrders(product, sets, orders, days, floorByDate, from, to) {
+  const lines = [];
+
+  for (const order of orders) {
+    const date = order.createdAt.slice(0, 10);
+    if (date < from || date > to) continue;
+
+    const day = days.filter((d) => d.date <= date).pop();
+    if (!day) continue;
+
+    const { varS, varSm } = floorByDate.get(day.date);
+    const discountQ = order.lines.reduce((sum, l) => sum + l.varQ, 0);
+
+    for (const line of order.lines.filter((l) => l.sku === product.sku)) {
+      const current = price(product, sets.current, line.varQ, varS, varSm.current, discountQ);
+      const candidate = price(product, sets.candidate, line.varQ, varS, varSm.candidate, discountQ);
+      if (!current || !candidate) continue;
+
+      lines.push({
+        draftId: order.draftId,
+        date,
+        varQ: line.varQ,
+        varS,
+        paidVarTd: line.varTd,
+        currentVarTd: current.varTd,
+        candidateVarTd: candidate.varTd
+      });
+    }
+  }
+
+  const total = (field) => add(lines.map((l) => l[field]));
+  const currentVarTd = total("currentVarTd");
+  const candidateVarTd = total("candidateVarTd");
+
+  return {
+    count: lines.length,
+    paidVarTd: total("paidVarTd"),
+    currentVarTd,
+    candidateVarTd,
+    changePct: pct(currentVarTd, candidateVarTd),
+    lines
+  };
+}
+
+/* Per-quantity table as CSV, one row per varQ (floor hit rates repeated on each) */
+function toCsv(result) {
+  const header = [
+    "sku", "varQ",
+    "current_avg_varTu", "current_min_varTu", "current_max_varTu", "current_avg_margin_pct",
+    "candidate_avg_varTu", "candidate_min_varTu", "candidate_max_varTu", "candidate_avg_margin_pct",
+    "change_pct", "current_floor_hit_pct", "candidate_floor_hit_pct", "days"
+  ];
+
+  const rows = result.rows.map((r) => [
+    result.sku, r.varQ,
+    r.current?.avgVarTu, r.current?.minVarTu, r.current?.maxVarTu, r.current?.avgMarginPct,
+    r.candidate?.avgVarTu, r.candidate?.minVarTu, r.candidate?.maxVarTu, r.candidate?.avgMarginPct,
+    r.changePct, result.floor.current.hitRatePct, result.floor.candidate.hitRatePct, result.days
+  ]);
+
+  return [header, ...rows]
+    .map((cols) => cols.map((v) => (v === null || v === undefined ? "" : v)).join(","))
+    .join("\n") + "\n";
+}
+
+module.exports = {
+  runBacktest,
+  toCsv,
+  addDays
+};
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * PRICING BACKTEST (CLI)
+ *
+ * Runs a backtest on a running server through POST /admin/api/backtest,
+ * so it replays the same stored closes and live settings the server uses.
+ *
+ *   npm run backtest -- --sku HEXSTACK-30 --from 2026-01-01 --to 2026-06-30 \
+ *     --candidate '{"products":{"HEXSTACK-30":{"curve":{"varA":9}}}}' --format csv
+ *
+ * Options:
+ *   --url         server base URL (default ENGINE_URL or http://localhost:3000)
+ *   --user        admin "name:password" (default ENGINE_ADMIN)
+ *   --sku         product to replay (required)
+ *   --from, --to  YYYY-MM-DD range (default: the 90 days up to yesterday)
+ *   --candidate   settings patch as JSON, or @file.json (default: none, current vs current)
+ *   --quantities  comma-separated varQ values (default: the admin preview quantities)
+ *   --fetch       fetch missing closes from the market data providers (spends API quota)
+ *   --format      json | csv (default json)
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const DEFAULT_DAYS = 90;
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+function daysAgo(days) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+function fail(message) {
+  console.error(`backtest: ${message}`);
+  process.exit(1);
+}
+
+function readCandidate(value) {
+  if (value === undefined) return undefined;
+  const text = value.startsWith("@") ? fs.readFileSync(value.slice(1), "utf8") : value;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    fail(`--candidate is not valid JSON: ${err.message}`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      url:        { type: "string", default: process.env.ENGINE_URL || "http://localhost:3000" },
+      user:       { type: "string", default: process.env.ENGINE_ADMIN },
+      sku:        { type: "string" },
+      from:       { type: "string" },
+      to:         { type: "string" },
+      candidate:  { type: "string" },
+      quantities: { type: "string" },
+      fetch:      { type: "boolean", default: false },
+      format:     { type: "string", default: "json" }
+    }
+  });
+
+  if (!values.sku) fail("--sku is required");
+  if (!values.user) fail("--user name:password (or ENGINE_ADMIN) is required");
+
+  const body = {
+    sku: values.sku,
+    from: values.from || daysAgo(DEFAULT_DAYS),
+    to: values.to || daysAgo(1),
+    candidate: readCandidate(values.candidate),
+    quantities: values.quantities?.split(",").map(Number),
+    fetch: values.fetch,
+    format: values.format
+  };
+
+  const res = await fetch(new URL("/admin/api/backtest", values.url), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Basic ${Buffer.from(values.user).toString("base64")}`
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+
+  const text = await res.text();
+  if (!res.ok) {
+    let error = text;
+    try {
+      error = JSON.parse(text).error || text;
+    } catch {}
+    fail(`${res.status} ${error}`);
+  }
+
+  process.stdout.write(values.format === "json" ? JSON.stringify(JSON.parse(text), null, 2) + "\n" : text);
+}
+
+main().catch((err) => fail(err.message));
@@ -0,0 +1,110 @@
+/**
+ * BUYBACK REQUESTS
+ *
+ * Buyback quotes a customer accepted (see /proxy/buyback/accept), waiting
+ * for staff: the customer ships the product, staff check it and pay the
+ * locked price.
+ *   pending -> completed | cancelled
+ *
+ * Staff work through them in /admin. Persisted through storage.js.
+ */
+
+const crypto = require("crypto");
+
+const storage = require("./storage");
+const log = require("./logger");
+
+const DOC = "buybacks";
+
+const BUYBACK_PENDING   = "pending";
+const BUYBACK_COMPLETED = "completed";
+const BUYBACK_CANCELLED = "cancelled";
+
+const BUYBACK_STATUSES = [BUYBACK_PENDING, BUYBACK_COMPLETED, BUYBACK_CANCELLED];
+
+// Loaded lazily from storage, then kept in memory (keyed by request id)
+let buybacks = null;
+
+function load() {
+  if (!buybacks) buybacks = storage.readDoc(DOC) || {};
+  return buybacks;
+}
+
+function persist() {
+  storage.writeDoc(DOC, buybacks);
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Record an accepted buyback quote
+ * quoteRef: quote nonce; lines / varTd: the locked prices
+ * note: optional customer note (condition, shipping) for staff
+ */
+function recordBuyback({ shop, customerId, quoteRef, lines, varTd, note = null }) {
+  const buyback = {
+    id: crypto.randomBytes(8).toString("hex"),
+    shop,
+    customerId,
+    quoteRef,
+    lines,
+    varTd,
+    note,
+    status: BUYBACK_PENDING,
+    createdAt: new Date().toISOString(),
+    closedAt: null,
+    closedBy: null
+  };
+
+  load()[buyback.id] = buyback;
+  persist();
+
+  log.info("Buyback requested", { id: buyback.id, shop, customerId, varTd });
+  return buyback;
+}
+
+/* Newest first; status filters when given */
+function listBuybacks({ status = null } = {}) {
+  return Object.values(load())
+    .filter((b) => !status || b.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function listCustomerBuybacks(shop, customerId) {
+  return listBuybacks().filter((b) => b.shop === shop && b.customerId === customerId);
+}
+
+/**
+ * Close a pending request (staff)
+ * Returns { buyback, previous } or { error }
+ */
+function closeBuyback(id, status, actor) {
+  const buyback = load()[id];
+  if (!buyback) return { error: "unknown buyback" };
+  if (![BUYBACK_COMPLETED, BUYBACK_CANCELLED].includes(status)) {
+    return { error: `status must be ${BUYBACK_COMPLETED} or ${BUYBACK_CANCELLED}` };
+  }
+  if (buyback.status !== BUYBACK_PENDING) return { error: `buyback already ${buyback.status}` };
+
+  buyback.status = status;
+  buyback.closedAt = new Date().toISOString();
+  buyback.closedBy = actor;
+  persist();
+
+  log.info("Buyback closed", { id, status, actor });
+  return { buyback, previous: BUYBACK_PENDING };
+}
+
+module.exports = {
+  recordBuyback,
+  listBuybacks,
+  listCustomerBuybacks,
+  closeBuyback,
+
+  BUYBACK_PENDING,
+  BUYBACK_COMPLETED,
+  BUYBACK_CANCELLED,
+  BUYBACK_STATUSES
+};
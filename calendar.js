@@ -0,0 +1,295 @@
+/**
+ * MARKET CALENDAR
+ *
+ * Loaded once at startup from config/calendar.json (or CALENDAR_PATH).
+ * All times are local to `timezone` ("HH:MM", "24:00" = end of day).
+ *
+ * Precedence, highest first:
+ * - overrides     one-off windows { from, to, status, name }
+ *                 (from / to as "YYYY-MM-DDTHH:MM", status open|closed|break)
+ * - holidays      full-day closures { date, name, reopen? }
+ * - earlyCloses   { date, name, close, reopen? }, closed from close until reopen
+ * - weekly        weekly open / close and the daily break
+ *
+ * This module:
+ * - Knows nothing about spot prices or surprise freezes (see marketStatus.js)
+ * - Returns plain statuses: "open", "closed", "break"
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CALENDAR_PATH =
+  process.env.CALENDAR_PATH || path.join(__dirname, "config", "calendar.json");
+
+const OPEN   = "open";
+const CLOSED = "closed";
+const BREAK  = "break";
+
+// How far ahead next open / close are searched
+const LOOKAHEAD_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -----------------------------
+   TIME HELPERS
+-------------------------------- */
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_RE = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function fmtMinutes(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
+
+// Intl formatters are costly to build: one per timezone
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit"
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/* Local calendar parts of an instant: { date, day (0 = Sun), minutes } */
+function localParts(instant, timezone) {
+  const parts = Object.fromEntries(
+    formatterFor(timezone)
+      .formatToParts(instant)
+      .map((p) => [p.type, p.value])
+  );
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    day: new Date(date + "T00:00:00Z").getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/* Instant for a local date + "HH:MM" in timezone (DST-aware) */
+function localToInstant(date, time, timezone) {
+  const asUtc = Date.parse(`${date}T00:00:00Z`) + toMinutes(time) * 60 * 1000;
+
+  // Correct by the zone offset; second pass settles DST boundaries
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(guess), timezone);
+    const localAsUtc = Date.parse(`${p.date}T00:00:00Z`) + p.minutes * 60 * 1000;
+    guess = asUtc - (localAsUtc - guess);
+  }
+  return new Date(guess);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date + "T00:00:00Z") + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/* -----------------------------
+   LOADING
+-------------------------------- */
+
+function loadCalendar(file = CALENDAR_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const fail = (msg) => {
+    throw new Error(`Calendar: ${msg}`);
+  };
+
+  const checkTime = (t, label) => {
+    if (!TIME_RE.test(t)) fail(`${label} must be "HH:MM", got "${t}"`);
+  };
+
+  const w = raw.weekly || {};
+  for (const key of ["open", "close"]) {
+    if (!Number.isInteger(w[key]?.day) || w[key].day < 0 || w[key].day > 6) {
+      fail(`weekly.${key}.day must be 0-6`);
+    }
+    checkTime(w[key].time, `weekly.${key}.time`);
+  }
+  if (w.dailyBreak) {
+    const days = w.dailyBreak.days;
+    if (!Array.isArray(days) || !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      fail("weekly.dailyBreak.days must be an array of days 0-6");
+    }
+    checkTime(w.dailyBreak.start, "weekly.dailyBreak.start");
+    checkTime(w.dailyBreak.end, "weekly.dailyBreak.end");
+  }
+
+  for (const h of raw.holidays || []) {
+    if (!DATE_RE.test(h.date)) fail(`holiday date "${h.date}" must be YYYY-MM-DD`);
+    if (h.reopen) checkTime(h.reopen, `holiday ${h.date} reopen`);
+  }
+
+  for (const e of raw.earlyCloses || []) {
+    if (!DATE_RE.test(e.date)) fail(`early close date "${e.date}" must be YYYY-MM-DD`);
+    checkTime(e.close, `early close ${e.date} close`);
+    if (e.reopen) checkTime(e.reopen, `early close ${e.date} reopen`);
+  }
+
+  for (const o of raw.overrides || []) {
+    if (!LOCAL_RE.test(o.from) || !LOCAL_RE.test(o.to) || o.from >= o.to) {
+      fail(`override "${o.name}" needs from < to as YYYY-MM-DDTHH:MM`);
+    }
+    if (![OPEN, CLOSED, BREAK].includes(o.status)) {
+      fail(`override "${o.name}" status must be open, closed or break`);
+    }
+  }
+
+  return {
+    timezone: raw.timezone || "America/New_York",
+    weekly: w,
+    holidays: raw.holidays || [],
+    earlyCloses: raw.earlyCloses || [],
+    overrides: raw.overrides || []
+  };
+}
+
+const calendar = loadCalendar();
+
+/* -----------------------------
+   STATUS
+-------------------------------- */
+
+function weeklyStatus({ day, minutes }) {
+  const { open, close, dailyBreak } = calendar.weekly;
+
+  const weekMinute = day * 1440 + minutes;
+  const openAt = open.day * 1440 + toMinutes(open.time);
+  const closeAt = close.day * 1440 + toMinutes(close.time);
+
+  const isOpen = openAt < closeAt
+    ? weekMinute >= openAt && weekMinute < closeAt
+    : weekMinute >= openAt || weekMinute < closeAt;
+
+  if (!isOpen) return { status: CLOSED, reason: "weekend" };
+
+  if (
+    dailyBreak &&
+    dailyBreak.days.includes(day) &&
+    minutes >= toMinutes(dailyBreak.start) &&
+    minutes < toMinutes(dailyBreak.end)
+  ) {
+    return { status: BREAK, reason: "daily break" };
+  }
+
+  return { status: OPEN, reason: "weekly schedule" };
+}
+
+/* Scheduled status at an instant: { status, reason } */
+function statusAt(instant) {
+  const local = localParts(instant, calendar.timezone);
+  const stamp = `${local.date}T${fmtMinutes(local.minutes)}`;
+
+  const override = calendar.overrides.find((o) => stamp >= o.from && stamp < o.to);
+  if (override) {
+    return { status: override.status, reason: `override: ${override.name || "manual"}` };
+  }
+
+  const holiday = calendar.holidays.find((h) => h.date === local.date);
+  if (holiday && local.minutes < toMinutes(holiday.reopen || "24:00")) {
+    return { status: CLOSED, reason: `holiday: ${holiday.name}` };
+  }
+
+  const early = calendar.earlyCloses.find((e) => e.date === local.date);
+  if (
+    early &&
+    local.minutes >= toMinutes(early.close) &&
+    local.minutes < toMinutes(early.reopen || "24:00")
+  ) {
+    return { status: CLOSED, reason: `early close: ${early.name}` };
+  }
+
+  return weeklyStatus(local);
+}
+
+/* Every instant in the lookahead window at which the status may change */
+function candidateTransitions(now) {
+  const { timezone, weekly, holidays, earlyCloses, overrides } = calendar;
+
+  const times = new Set(["00:00", weekly.open.time, weekly.close.time]);
+  if (weekly.dailyBreak) {
+    times.add(weekly.dailyBreak.start);
+    times.add(weekly.dailyBreak.end);
+  }
+  for (const h of holidays) if (h.reopen) times.add(h.reopen);
+  for (const e of earlyCloses) {
+    times.add(e.close);
+    if (e.reopen) times.add(e.reopen);
+  }
+  times.delete("24:00");
+
+  const today = localParts(now, timezone).date;
+  const instants = [];
+
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const date = addDays(today, i);
+    for (const t of times) instants.push(localToInstant(date, t, timezone));
+  }
+  for (const o of overrides) {
+    for (const stamp of [o.from, o.to]) {
+      const [date, time] = stamp.split("T");
+      instants.push(localToInstant(date, time, timezone));
+    }
+  }
+
+  return instants
+    .filter((t) => t > now)
+    .sort((a, b) => a - b);
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Scheduled status now, plus the next scheduled open / close
+ * Returns { status, reason, nextOpen, nextClose } (Dates, null if none within lookahead)
+ */
+function getCalendarStatus(now = new Date()) {
+  const current = statusAt(now);
+
+  let nextOpen = null;
+  let nextClose = null;
+  let prev = current.status;
+
+  for (const t of candidateTransitions(now)) {
+    const { status } = statusAt(t);
+
+    if (status !== prev) {
+      if (status === OPEN && !nextOpen) nextOpen = t;
+      if (prev === OPEN && !nextClose) nextClose = t;
+      prev = status;
+    }
+
+    if (nextOpen && nextClose) break;
+  }
+
+  return { ...current, nextOpen, nextClose };
+}
+
+module.exports = {
+  getCalendarStatus,
+
+  CALENDAR_OPEN: OPEN,
+  CALENDAR_CLOSED: CLOSED,
+  CALENDAR_BREAK: BREAK
+};
@@ -0,0 +1,165 @@
+/**
+ * PRODUCT CATALOG
+ *
+ * Loaded once at startup from config/catalog.json (or CATALOG_PATH).
+ * Each SKU defines:
+ * - title       draft order line-item title
+ * - metal       metal the SKU is priced against (see metals.js)
+ * - varG        troy ounces per unit
+ * - curve       premium curve (see pricing.js):
+ *                 varA  premium %, no discount
+ *                 varB  premium %, max discount
+ *                 varC  quantity for max discount
+ *                 varD  quantity for no discount
+ *                 varX  discount curve exponent
+ * - minQ, maxQ  allowed quantity per order
+ * - variantId   Shopify variant the SKU maps to (null if unlinked)
+ * - buyback     optional, present if we buy the SKU back from customers:
+ *                 curve       discount below spot, same keys as the premium
+ *                             curve (varA % at varD units -> varB % at varC)
+ *                 minQ, maxQ  allowed quantity per buyback
+ *
+ * An invalid catalog throws at load: the server must not price from it.
+ * varG and the curve can be changed at runtime (see settings.js);
+ * such changes go through the same validation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { isSupportedMetal } = require("./metals");
+
+const CATALOG_PATH =
+  process.env.CATALOG_PATH || path.join(__dirname, "config", "catalog.json");
+
+/* -----------------------------
+   VALIDATION
+-------------------------------- */
+
+function isPositive(v) {
+  return Number.isFinite(v) && v > 0;
+}
+
+function validateProduct(sku, p) {
+  const fail = (msg) => {
+    throw new Error(`Catalog ${sku}: ${msg}`);
+  };
+
+  if (!p.title || typeof p.title !== "string") fail("missing title");
+  if (!isSupportedMetal(p.metal)) fail(`unsupported metal "${p.metal}"`);
+  if (!isPositive(p.varG)) fail("varG must be a positive number of ounces");
+
+  validateCurve(p.curve, "curve", fail);
+  validateLimits(p, "", fail);
+
+  if (p.buyback !== undefined && p.buyback !== null) {
+    validateCurve(p.buyback.curve, "buyback.curve", fail);
+    if (p.buyback.curve.varA >= 100 || p.buyback.curve.varB >= 100) {
+      fail("buyback.curve discounts must be below 100%");
+    }
+    validateLimits(p.buyback, "buyback.", fail);
+  }
+}
+
+function validateCurve(c = {}, name, fail) {
+  for (const key of ["varA", "varB", "varX"]) {
+    if (!Number.isFinite(c[key]) || c[key] < 0) fail(`${name}.${key} must be >= 0`);
+  }
+  if (!isPositive(c.varD) || !(c.varC > c.varD)) {
+    fail(`${name} needs 0 < varD < varC`);
+  }
+}
+
+function validateLimits({ minQ, maxQ }, prefix, fail) {
+  if (!Number.isInteger(minQ) || minQ < 1) fail(`${prefix}minQ must be an integer >= 1`);
+  if (!Number.isInteger(maxQ) || maxQ < minQ) fail(`${prefix}maxQ must be an integer >= minQ`);
+}
+
+/* -----------------------------
+   LOADING
+-------------------------------- */
+
+function loadCatalog(file = CATALOG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const products = raw.products || {};
+
+  for (const [sku, p] of Object.entries(products)) {
+    validateProduct(sku, p);
+  }
+
+  if (!Object.hasOwn(products, raw.defaultSku)) {
+    throw new Error(`Catalog: defaultSku "${raw.defaultSku}" is not a product`);
+  }
+
+  return { defaultSku: raw.defaultSku, products };
+}
+
+const catalog = loadCatalog();
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+function getProduct(sku) {
+  // Own keys only: "constructor", "__proto__" etc. are not products
+  if (typeof sku !== "string" || !Object.hasOwn(catalog.products, sku)) return null;
+  const p = catalog.products[sku];
+
+  return {
+    sku,
+    ...p,
+    curve: { ...p.curve },
+    buyback: p.buyback ? { ...p.buyback, curve: { ...p.buyback.curve } } : null
+  };
+}
+
+function getDefaultSku() {
+  return catalog.defaultSku;
+}
+
+function listProducts() {
+  return Object.keys(catalog.products).map(getProduct);
+}
+
+/* First SKU priced against a metal (for requests that name a metal only) */
+function getProductForMetal(metal) {
+  return listProducts().find((p) => p.metal === metal) || null;
+}
+
+/**
+ * Check a product definition without applying it
+ * Returns an error message, or null if valid
+ */
+function checkProduct(sku, p) {
+  try {
+    validateProduct(sku, p);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/* Replace a SKU's varG / curve at runtime (validated; throws if invalid) */
+function setProductParams(sku, { varG, curve }) {
+  const current = Object.hasOwn(catalog.products, sku) ? catalog.products[sku] : null;
+  if (!current) throw new Error(`Catalog: unknown product "${sku}"`);
+
+  const next = { ...current, varG, curve: { ...curve } };
+  validateProduct(sku, next);
+  catalog.products[sku] = next;
+}
+
+/* Metals the catalog needs spot data for */
+function getCatalogMetals() {
+  return [...new Set(listProducts().map((p) => p.metal))];
+}
+
+module.exports = {
+  getProduct,
+  getDefaultSku,
+  listProducts,
+  getProductForMetal,
+  getCatalogMetals,
+  checkProduct,
+  setProductParams
+};
@@ -0,0 +1,171 @@
+/**
+ * HISTORICAL CHART DATA
+ *
+ * Builds time-ordered OHLC points per metal for fixed ranges:
+ *   1W, 1M, 3M  daily points
+ *   1Y          weekly buckets
+ *   5Y          monthly buckets
+ *
+ * Closes come from storage first; only sparse 30-day spans are fetched
+ * from the market data providers (and stored), and built charts are
+ * cached for CHART_CACHE_MINUTES, so page views do not spend API quota.
+ * The same closes feed the pricing backtest (see backtest.js).
+ */
+
+const storage = require("./storage");
+
+const RANGES = {
+  "1W": { days: 7,    bucketDays: 1,  resolution: "1d" },
+  "1M": { days: 30,   bucketDays: 1,  resolution: "1d" },
+  "3M": { days: 91,   bucketDays: 1,  resolution: "1d" },
+  "1Y": { days: 365,  bucketDays: 7,  resolution: "1w" },
+  "5Y": { days: 1826, bucketDays: 30, resolution: "1mo" }
+};
+
+const CHART_CACHE_MINUTES = 60;
+
+// metals.dev serves at most 30 days per timeseries call
+const FETCH_CHUNK_DAYS = 30;
+
+// A stored span with fewer closes than this share of its days is refetched
+const MIN_STORED_COVERAGE = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function addDays(date, days) {
+  return new Date(Date.parse(date + "T00:00:00Z") + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/* Remove consecutive duplicates (provider repeats the last close on non-trading days) */
+function dedupeConsecutive(arr, key = (v) => v) {
+  return arr.filter((v, i) => i === 0 || key(v) !== key(arr[i - 1]));
+}
+
+/* Group closes into fixed-size day buckets -> OHLC points */
+function toOhlc(closes, startDate, bucketDays) {
+  const buckets = new Map();
+
+  for (const { date, value } of closes) {
+    const dayIndex = Math.floor((Date.parse(date) - Date.parse(startDate)) / DAY_MS);
+    const bucket = Math.floor(dayIndex / bucketDays);
+
+    if (!buckets.has(bucket)) {
+      buckets.set(bucket, { date, open: value, high: value, low: value, close: value });
+    } else {
+      const p = buckets.get(bucket);
+      p.high = Math.max(p.high, value);
+      p.low = Math.min(p.low, value);
+      p.close = value;
+    }
+  }
+
+  return [...buckets.values()];
+}
+
+/* -----------------------------
+   SERVICE
+-------------------------------- */
+
+/**
+ * marketData: provider chain (see providers/)
+ * dateMinus(days): ET calendar date N days ago, "YYYY-MM-DD"
+ */
+function createChartService({ marketData, dateMinus }) {
+  const cached = new Map(); // `${metal}:${range}` -> { expiresAt, chart (promise) }
+
+  // Fetch and store any sparse 30-day spans in [startDate, endDate]
+  async function fillGaps(metal, startDate, endDate) {
+    const stored = new Set(
+      storage.getCloseHistory(metal, { from: startDate, to: endDate }).map((c) => c.date)
+    );
+
+    for (let from = startDate; from <= endDate; from = addDays(from, FETCH_CHUNK_DAYS)) {
+      const chunkEnd = addDays(from, FETCH_CHUNK_DAYS - 1);
+      const to = chunkEnd < endDate ? chunkEnd : endDate;
+      const spanDays = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+
+      let have = 0;
+      for (let d = from; d <= to; d = addDays(d, 1)) if (stored.has(d)) have++;
+
+      // The most recent span always refreshes; older ones only when sparse
+      if (to !== endDate && have >= spanDays * MIN_STORED_COVERAGE) continue;
+
+      const series = await marketData.getTimeseries(from, to, [metal]);
+      if (!series) continue;
+
+      const closes = {};
+      for (const [date, day] of Object.entries(series.value)) {
+        if (day[metal] !== undefined) closes[date] = day[metal];
+      }
+      storage.recordCloses(metal, closes);
+    }
+  }
+
+  async function buildChart(metal, range) {
+    const { days, bucketDays, resolution } = RANGES[range];
+    const endDate = dateMinus(1);
+    const startDate = dateMinus(days);
+
+    await fillGaps(metal, startDate, endDate);
+
+    const closes = dedupeConsecutive(
+      storage.getCloseHistory(metal, { from: startDate, to: endDate }),
+      (c) => c.value
+    );
+
+    return {
+      metal,
+      range,
+      resolution,
+      from: startDate,
+      to: endDate,
+      points: toOhlc(closes, startDate, bucketDays),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  return {
+    /* Cached chart; concurrent requests share one build */
+    async getChart(metal, range) {
+      const key = `${metal}:${range}`;
+      const hit = cached.get(key);
+      if (hit && hit.expiresAt > Date.now()) return hit.chart;
+
+      const chart = buildChart(metal, range);
+      cached.set(key, { chart, expiresAt: Date.now() + CHART_CACHE_MINUTES * 60 * 1000 });
+
+      try {
+        return await chart;
+      } catch (err) {
+        cached.delete(key);
+        throw err;
+      }
+    },
+
+    /**
+     * Stored closes in [from, to], oldest first (not deduplicated)
+     * fetch: fill sparse spans from the providers first (spends API quota)
+     */
+    async getCloses(metal, from, to, { fetch = false } = {}) {
+      if (fetch) await fillGaps(metal, from, to);
+      return storage.getCloseHistory(metal, { from, to });
+    }
+  };
+}
+
+function isChartRange(range) {
+  return Object.prototype.hasOwnProperty.call(RANGES, range);
+}
+
+module.exports = {
+  createChartService,
+  isChartRange,
+  dedupeConsecutive,
+  CHART_RANGES: Object.keys(RANGES)
+};
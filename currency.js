@@ -0,0 +1,78 @@
+/**
+ * CURRENCIES
+ *
+ * Market data and prices are computed in BASE_CURRENCY (USD, the unit of
+ * every provider's spot). Other presentment currencies are converted at
+ * the latest cached FX rate (units of the currency per USD):
+ * - money values (spot, deltas, prices) are converted; percentages are not
+ * - unit prices are truncated after conversion, totals recomputed from them,
+ *   exactly as pricing.js does in USD; other money values round half-up
+ * - checkout stays in USD: draft orders are created in the store currency,
+ *   so quotes in other currencies are refused there (see server.js)
+ */
+
+const { multiply, ROUND_TRUNCATE, ROUND_HALF_UP } = require("./money");
+
+const BASE_CURRENCY = "USD";
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/* ISO 4217 code if supported, else null; missing -> BASE_CURRENCY */
+function parseCurrency(value, supported) {
+  if (value === undefined || value === null || value === "") return BASE_CURRENCY;
+
+  const code = String(value).trim().toUpperCase();
+  return CURRENCY_RE.test(code) && supported.includes(code) ? code : null;
+}
+
+/**
+ * Rate to convert USD into currency
+ * fx: cached { rates, at, provider, fetchedAt } (see server.js fetchFx)
+ * maxAgeMs: older rates are refused
+ * Returns { currency, rate, rateAt, provider } or { error }
+ */
+function fxRate(fx, currency, maxAgeMs, now = Date.now()) {
+  if (currency === BASE_CURRENCY) {
+    return { currency, rate: 1, rateAt: null, provider: null };
+  }
+
+  const rate = fx?.rates?.[currency];
+  if (!Number.isFinite(rate)) return { error: "exchange rate unavailable" };
+
+  const rateAt = fx.at || fx.fetchedAt;
+  if (now - Date.parse(fx.fetchedAt) > maxAgeMs) return { error: "exchange rate stale" };
+
+  return { currency, rate, rateAt, provider: fx.provider };
+}
+
+/* Money fields of an object converted (null / missing fields kept) */
+function convertFields(obj, fields, rate) {
+  const out = { ...obj };
+  for (const f of fields) {
+    if (Number.isFinite(obj[f])) out[f] = multiply([obj[f], rate], 2, ROUND_HALF_UP);
+  }
+  return out;
+}
+
+/* A priced line ({ varQ, varS, varTu, varTd, ... }) in another currency */
+function convertLine(line, rate) {
+  const varTu = multiply([line.varTu, rate], 2, ROUND_TRUNCATE);
+  return {
+    ...line,
+    varS: multiply([line.varS, rate], 2, ROUND_HALF_UP),
+    varTu,
+    varTd: multiply([varTu, line.varQ], 2, ROUND_TRUNCATE)
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  parseCurrency,
+  fxRate,
+  convertFields,
+  convertLine
+};
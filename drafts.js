@@ -0,0 +1,240 @@
+/**
+ * DRAFT ORDER REGISTRY
+ *
+ * Every draft order created by /proxy/draft-order, and its outcome:
+ *   open -> completed | deleted | expired
+ *   expired -> completed
+ *
+ * Outcomes arrive through Shopify webhooks (see webhooks.js), except
+ * expiry, which is detected locally by expireStaleDrafts(). A completion
+ * can arrive after local expiry (webhook delay, checkout started just
+ * before expiresAt): the order was paid, so it still completes the draft.
+ *
+ * Closed drafts stay in the live registry for CLOSED_DRAFT_RETENTION_HOURS,
+ * then move to the storage.js archive (see archiveClosedDrafts), so lookups
+ * and rewrites of the registry stay proportional to recent drafts.
+ * Persisted through storage.js.
+ */
+
+const storage = require("./storage");
+const log = require("./logger");
+
+const DOC = "drafts";
+
+const DRAFT_OPEN      = "open";
+const DRAFT_COMPLETED = "completed";
+const DRAFT_DELETED   = "deleted";
+const DRAFT_EXPIRED   = "expired";
+
+// Closed drafts stay live this long: replays of their idempotency key and late
+// webhooks (Shopify retries for up to 48 hours) still find them
+const CLOSED_DRAFT_RETENTION_HOURS = 48;
+
+// Loaded lazily from storage, then kept in memory (keyed by Shopify draft id)
+let drafts = null;
+
+// Lookups into drafts, rebuilt on load
+const byIdempotencyKey = new Map(); // `${shop}|${key}` -> draft
+const byQuoteRef = new Map();       // quoteRef -> draft
+const openByCustomer = new Map();   // `${shop}|${customerId}` -> Set of open draft ids
+
+const closeListeners = [];
+
+function load() {
+  if (!drafts) {
+    drafts = storage.readDoc(DOC) || {};
+    for (const draft of Object.values(drafts)) index(draft);
+  }
+  return drafts;
+}
+
+function shopKey(shop, id) {
+  return `${shop}|${id}`;
+}
+
+function index(draft) {
+  const key = shopKey(draft.shop, draft.idempotencyKey);
+  if (draft.idempotencyKey && !byIdempotencyKey.has(key)) byIdempotencyKey.set(key, draft);
+  if (!byQuoteRef.has(draft.quoteRef)) byQuoteRef.set(draft.quoteRef, draft);
+
+  if (draft.customerId && draft.status === DRAFT_OPEN) {
+    const customer = shopKey(draft.shop, draft.customerId);
+    if (!openByCustomer.has(customer)) openByCustomer.set(customer, new Set());
+    openByCustomer.get(customer).add(draft.draftId);
+  }
+}
+
+function unindexOpen(draft) {
+  const customer = shopKey(draft.shop, draft.customerId);
+  const open = openByCustomer.get(customer);
+  if (!open) return;
+
+  open.delete(draft.draftId);
+  if (open.size === 0) openByCustomer.delete(customer);
+}
+
+function unindex(draft) {
+  const key = shopKey(draft.shop, draft.idempotencyKey);
+  if (byIdempotencyKey.get(key) === draft) byIdempotencyKey.delete(key);
+  if (byQuoteRef.get(draft.quoteRef) === draft) byQuoteRef.delete(draft.quoteRef);
+  unindexOpen(draft);
+}
+
+function persist() {
+  storage.writeDoc(DOC, drafts);
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Record a newly created draft
+ * quoteRef: quote nonce, also set as a note attribute so the resulting order can be matched
+ * customerId: logged-in customer, or null
+ * idempotencyKey: scoped request key (see findDraftByIdempotencyKey), or null
+ */
+function recordDraft({
+  draftId,
+  shop,
+  quoteRef,
+  lines,
+  varTd,
+  expiresAt,
+  checkoutUrl,
+  currency = null,
+  customerId = null,
+  idempotencyKey = null
+}) {
+  const draft = {
+    draftId,
+    shop,
+    quoteRef,
+    lines,
+    varTd,
+    checkoutUrl,
+    currency,
+    customerId,
+    idempotencyKey,
+    status: DRAFT_OPEN,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    closedAt: null,
+    orderId: null
+  };
+  load()[draftId] = draft;
+  index(draft);
+  persist();
+}
+
+function getDraft(draftId) {
+  return load()[draftId] || null;
+}
+
+function findDraftByQuoteRef(quoteRef) {
+  load();
+  return byQuoteRef.get(quoteRef) || null;
+}
+
+/* Live and archived drafts, oldest first; status filters when given */
+function listDrafts({ status = null } = {}) {
+  // A draft archived just before a crash may still be live: the live copy wins
+  const all = new Map(storage.getArchivedDrafts().map((d) => [d.draftId, d]));
+  for (const draft of Object.values(load())) all.set(draft.draftId, draft);
+
+  return [...all.values()]
+    .filter((d) => !status || d.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/* Draft created by an earlier request with the same key, or null */
+function findDraftByIdempotencyKey(shop, idempotencyKey) {
+  load();
+  return byIdempotencyKey.get(shopKey(shop, idempotencyKey)) || null;
+}
+
+/* Drafts of a customer still awaiting checkout */
+function countOpenDrafts(shop, customerId) {
+  load();
+  return openByCustomer.get(shopKey(shop, customerId))?.size ?? 0;
+}
+
+/**
+ * Close an open draft with its final outcome, or complete an expired one
+ * Returns the updated draft, or null if unknown / already closed
+ */
+function closeDraft(draftId, status, { orderId = null } = {}) {
+  const draft = load()[draftId];
+  if (!draft) return null;
+
+  const previous = draft.status;
+  const lateCompletion = previous === DRAFT_EXPIRED && status === DRAFT_COMPLETED;
+  if (previous !== DRAFT_OPEN && !lateCompletion) return null;
+
+  draft.status = status;
+  draft.orderId = orderId;
+  draft.closedAt = new Date().toISOString();
+  unindexOpen(draft);
+  persist();
+
+  if (lateCompletion) {
+    log.warn("Expired draft completed", { draftId, shop: draft.shop, orderId });
+  } else {
+    log.info("Draft closed", { draftId, shop: draft.shop, status });
+  }
+  for (const fn of closeListeners) fn(draft, previous);
+  return draft;
+}
+
+/**
+ * Register fn(draft, previous), called once per outcome: when a draft closes,
+ * and again if an expired draft completes (previous: the status it left)
+ */
+function onDraftClosed(fn) {
+  closeListeners.push(fn);
+}
+
+/* Mark open drafts past their expiry as expired; returns those drafts */
+function expireStaleDrafts(now = new Date()) {
+  const stale = Object.values(load()).filter(
+    (d) => d.status === DRAFT_OPEN && d.expiresAt && new Date(d.expiresAt) <= now
+  );
+
+  return stale.map((d) => closeDraft(d.draftId, DRAFT_EXPIRED));
+}
+
+/* Move drafts closed over CLOSED_DRAFT_RETENTION_HOURS ago to the archive; returns their count */
+function archiveClosedDrafts(now = new Date()) {
+  const cutoff = now.getTime() - CLOSED_DRAFT_RETENTION_HOURS * 60 * 60 * 1000;
+  const done = Object.values(load()).filter(
+    (d) => d.status !== DRAFT_OPEN && d.closedAt && Date.parse(d.closedAt) <= cutoff
+  );
+  if (!done.length) return 0;
+
+  for (const draft of done) {
+    storage.archiveDraft(draft);
+    delete drafts[draft.draftId];
+    unindex(draft);
+  }
+  persist();
+  log.info("Archived closed drafts", { count: done.length });
+  return done.length;
+}
+
+module.exports = {
+  recordDraft,
+  getDraft,
+  listDrafts,
+  findDraftByQuoteRef,
+  findDraftByIdempotencyKey,
+  countOpenDrafts,
+  closeDraft,
+  expireStaleDrafts,
+  archiveClosedDrafts,
+  onDraftClosed,
+
+  DRAFT_OPEN,
+  DRAFT_COMPLETED,
+  DRAFT_DELETED,
+  DRAFT_EXPIRED
+};
@@ -0,0 +1,124 @@
+/**
+ * SPOT FLOOR (varSm)
+ *
+ * getPricing never prices below the floor (see pricing.js). Strategies,
+ * selected per metal in the runtime settings (see settings.js):
+ * - median    median of the last varE trading-day closes
+ * - average   trailing average of the last varE trading-day closes
+ * - manual    manualValue until manualExpiresAt, then the median
+ * - none      no floor
+ *
+ * Safeguard: median / average need at least minDays trading closes;
+ * with fewer the metal prices without a floor.
+ *
+ * This module:
+ * - Does NOT fetch or store closes (the caller passes deduplicated closes)
+ */
+
+const { add, divide, round, ROUND_HALF_UP } = require("./money");
+
+const STRATEGIES = ["median", "average", "manual", "none"];
+
+// Strategy a manual floor falls back to once it expires
+const MANUAL_FALLBACK = "median";
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function round2(v) {
+  return Number.isFinite(v) ? round(v, 2, ROUND_HALF_UP) : null;
+}
+
+/* Median of the deduplicated signal; even counts take the higher middle value */
+function median(arr) {
+  const a = arr.slice().sort((x, y) => x - y);
+  const n = a.length;
+  return n % 2 ? a[(n - 1) / 2] : Math.max(a[n / 2 - 1], a[n / 2]);
+}
+
+/* Exact, rounded to the cent half-up */
+function average(arr) {
+  return divide(add(arr), arr.length, 2, ROUND_HALF_UP);
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Check a floor config ({ strategy, minDays, manualValue, manualExpiresAt })
+ * maxDays: the window (varE); a larger minDays could never be met
+ * Returns an error message, or null if valid
+ */
+function checkFloorConfig(config, maxDays) {
+  if (!STRATEGIES.includes(config.strategy)) {
+    return `strategy must be one of ${STRATEGIES.join(", ")}`;
+  }
+  if (!Number.isInteger(config.minDays) || config.minDays < 1 || config.minDays > maxDays) {
+    return `minDays must be an integer 1-${maxDays}`;
+  }
+  if (config.manualValue !== null &&
+      !(Number.isFinite(config.manualValue) && config.manualValue > 0)) {
+    return "manualValue must be a positive number or null";
+  }
+  if (config.manualExpiresAt !== null &&
+      !(typeof config.manualExpiresAt === "string" && Number.isFinite(Date.parse(config.manualExpiresAt)))) {
+    return "manualExpiresAt must be an ISO timestamp or null";
+  }
+  if (config.strategy === "manual" && config.manualValue === null) {
+    return "manual strategy needs manualValue";
+  }
+  return null;
+}
+
+/**
+ * Floor for one metal
+ * closes: deduplicated trading closes [{ date, value }], oldest first
+ * window: trading days used (varE)
+ * Returns { varSm, strategy, configured, status, window, minDays, inputs, manualExpiresAt }
+ *   strategy: strategy actually used (differs from configured after a manual expiry)
+ *   status:   "ok" | "insufficient_data" | "manual_expired" | "disabled"
+ *   inputs:   closes the value was computed from
+ */
+function computeFloor(closes, config, { window, now = Date.now() }) {
+  const result = {
+    varSm: null,
+    strategy: config.strategy,
+    configured: config.strategy,
+    status: "ok",
+    window,
+    minDays: config.minDays,
+    inputs: [],
+    manualExpiresAt: config.manualExpiresAt
+  };
+
+  if (config.strategy === "none") {
+    return { ...result, status: "disabled" };
+  }
+
+  if (config.strategy === "manual") {
+    const expired =
+      config.manualExpiresAt !== null && Date.parse(config.manualExpiresAt) <= now;
+    if (!expired) return { ...result, varSm: config.manualValue };
+
+    result.strategy = MANUAL_FALLBACK;
+    result.status = "manual_expired";
+  }
+
+  const inputs = closes.slice(-window);
+  if (inputs.length < config.minDays) {
+    return { ...result, status: "insufficient_data", inputs };
+  }
+
+  const values = inputs.map((c) => c.value);
+  const varSm = result.strategy === "average" ? average(values) : median(values);
+
+  return { ...result, varSm: round2(varSm), inputs };
+}
+
+module.exports = {
+  computeFloor,
+  checkFloorConfig,
+  FLOOR_STRATEGIES: STRATEGIES
+};
@@ -0,0 +1,221 @@
+/**
+ * HTTP CLIENT
+ *
+ * Shared client for every outbound call (market data providers, Shopify,
+ * alert webhooks):
+ * - per-call timeout
+ * - retries with bounded exponential backoff on network errors, timeouts,
+ *   429 and 5xx, honouring Retry-After. Non-idempotent requests (POST)
+ *   are only retried on 429, which guarantees nothing was processed
+ * - response validation: JSON body checked against a shape (see shape())
+ *
+ * Failures reject with typed errors, all HttpError subclasses carrying
+ * { service, method, url, attempts }:
+ * - HttpTimeoutError    no response within timeoutMs
+ * - HttpNetworkError    connection failed (DNS, reset, TLS, ...)
+ * - HttpStatusError     non-2xx response (status, detail)
+ * - HttpResponseError   body not JSON, or not the expected shape
+ */
+
+const log = require("./logger");
+const { httpRequests } = require("./metrics");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_RETRIES = 2;
+
+// Backoff: BASE * 2^attempt (+ jitter), never above MAX; a longer Retry-After is not waited for
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8 * 1000;
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+
+// Error bodies are kept (truncated) for diagnosis
+const DETAIL_MAX_CHARS = 300;
+
+/* -----------------------------
+   ERRORS
+-------------------------------- */
+
+class HttpError extends Error {
+  constructor(message, { service, method, url, attempts }) {
+    super(`${service}: ${message}`);
+    this.name = this.constructor.name;
+    this.service = service;
+    this.method = method;
+    this.url = url;
+    this.attempts = attempts;
+  }
+}
+
+class HttpTimeoutError extends HttpError {
+  constructor(timeoutMs, context) {
+    super(`no response within ${timeoutMs}ms`, context);
+    this.code = "ETIMEDOUT";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class HttpNetworkError extends HttpError {
+  constructor(cause, context) {
+    super(`request failed: ${cause?.cause?.code || cause?.message || cause}`, context);
+    this.code = cause?.cause?.code || "ENETWORK";
+  }
+}
+
+class HttpStatusError extends HttpError {
+  constructor(status, detail, context) {
+    super(`responded ${status}`, context);
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+class HttpResponseError extends HttpError {
+  constructor(problem, context) {
+    super(`invalid response: ${problem}`, context);
+  }
+}
+
+/* -----------------------------
+   VALIDATION
+-------------------------------- */
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  if (typeof v === "number") return Number.isFinite(v) ? "number" : "non-finite";
+  return typeof v;
+}
+
+/**
+ * Validator for a JSON body: spec maps dotted paths to types,
+ * alternatives separated by "|" (e.g. { "draft_order.id": "number|string" })
+ * Returns (data) -> problem string | null
+ */
+function shape(spec) {
+  return (data) => {
+    for (const [path, types] of Object.entries(spec)) {
+      const value = path.split(".").reduce((v, key) => (v == null ? undefined : v[key]), data);
+      const actual = typeOf(value);
+      if (!types.split("|").includes(actual)) return `${path} is ${actual}, expected ${types}`;
+    }
+    return null;
+  };
+}
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* Retry-After (seconds or HTTP date) in ms, or null */
+function retryAfterMs(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
+
+function backoffMs(attempt) {
+  const base = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+async function readDetail(res) {
+  try {
+    return (await res.text()).slice(0, DETAIL_MAX_CHARS);
+  } catch {
+    return null;
+  }
+}
+
+/* -----------------------------
+   REQUEST
+-------------------------------- */
+
+/**
+ * One outbound call
+ * options:
+ *   service     label for errors, logs and metrics (e.g. "metalsdev", "shopify")
+ *   method, headers, body
+ *   timeoutMs   per attempt
+ *   retries     extra attempts after the first
+ *   expect      "json" (default, body parsed) | "none" (body ignored)
+ *   validate    (data) -> problem | null, e.g. shape({...})
+ * Resolves { status, data }; rejects with an HttpError
+ */
+async function request(url, {
+  service,
+  method = "GET",
+  headers = {},
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  expect = "json",
+  validate = null
+} = {}) {
+  const idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+  for (let attempt = 0; ; attempt++) {
+    const context = { service, method, url: String(url), attempts: attempt + 1 };
+    let error;
+    let retryable;
+    let waitMs = null;
+
+    try {
+      const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      httpRequests.inc({ service, status: res.status });
+
+      if (!res.ok) {
+        error = new HttpStatusError(res.status, await readDetail(res), context);
+        retryable = res.status === 429 || (idempotent && res.status >= 500);
+        waitMs = retryAfterMs(res.headers.get("retry-after"));
+      } else if (expect === "none") {
+        return { status: res.status, data: null };
+      } else {
+        let data;
+        try {
+          data = await res.json();
+        } catch {
+          throw new HttpResponseError("body is not JSON", context);
+        }
+
+        const problem = validate ? validate(data) : null;
+        if (problem) throw new HttpResponseError(problem, context);
+        return { status: res.status, data };
+      }
+    } catch (err) {
+      if (err instanceof HttpError) throw err;
+
+      const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+      error = timedOut ? new HttpTimeoutError(timeoutMs, context) : new HttpNetworkError(err, context);
+      httpRequests.inc({ service, status: timedOut ? "timeout" : "network_error" });
+      retryable = idempotent;
+    }
+
+    const delay = waitMs ?? backoffMs(attempt);
+    if (!retryable || attempt >= retries || delay > BACKOFF_MAX_MS) throw error;
+
+    log.warn("Retrying outbound request", {
+      service,
+      method,
+      attempt: attempt + 1,
+      delayMs: delay,
+      error: error.message
+    });
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  request,
+  shape,
+
+  HttpError,
+  HttpTimeoutError,
+  HttpNetworkError,
+  HttpStatusError,
+  HttpResponseError
+};
@@ -0,0 +1,215 @@
+/**
+ * INVENTORY
+ *
+ * Stock on hand per SKU, and reservations held by checkouts:
+ *   available = onHand - reserved (open reservations)
+ *
+ * A reservation is taken when a draft order is created (keyed by the
+ * quote nonce, like the draft's quote_ref) and is:
+ * - released   when the draft expires, is deleted, or creation fails
+ * - committed  when the draft completes: onHand drops by the quantity
+ *   (also when it completes after its reservation was released at expiry)
+ *
+ * Stock comes from a pluggable source (INVENTORY_SOURCE):
+ * - local     onHand set by admins (see admin.js), nothing synced
+ * - shopify   onHand synced from the Shopify Inventory API (see shopifyInventory.js)
+ *
+ * SKUs without stock information are not limited.
+ * Persisted through storage.js.
+ */
+
+const storage = require("./storage");
+const log = require("./logger");
+
+const DOC = "inventory";
+
+// Reservations outlive their draft's expiry by this much before being dropped
+const RESERVATION_GRACE_MINUTES = 5;
+
+/* -----------------------------
+   SOURCE
+-------------------------------- */
+
+// Local source: admins own the numbers, sales only update them here
+const localSource = {
+  name: "local",
+  async sync() {
+    return null;
+  },
+  async commit() {}
+};
+
+let source = localSource;
+
+/**
+ * source: { name, sync() -> Promise<{ [sku]: onHand } | null>, commit(sku, varQ) -> Promise }
+ */
+function useInventorySource(s) {
+  source = s;
+}
+
+function inventorySource() {
+  return source.name;
+}
+
+/* -----------------------------
+   STATE
+-------------------------------- */
+
+// Loaded lazily from storage, then kept in memory
+// { stock: { [sku]: { onHand, updatedAt } }, reservations: { [ref]: { lines, expiresAt, createdAt } } }
+let state = null;
+
+function load() {
+  if (!state) {
+    const doc = storage.readDoc(DOC) || {};
+    state = { stock: doc.stock || {}, reservations: doc.reservations || {} };
+  }
+  return state;
+}
+
+function persist() {
+  storage.writeDoc(DOC, state);
+}
+
+/* Drop reservations whose draft is long gone (missed webhook, crash mid-checkout) */
+function pruneReservations(now = Date.now()) {
+  const { reservations } = load();
+  let pruned = false;
+
+  for (const [ref, r] of Object.entries(reservations)) {
+    if (Date.parse(r.expiresAt) + RESERVATION_GRACE_MINUTES * 60 * 1000 <= now) {
+      delete reservations[ref];
+      pruned = true;
+    }
+  }
+
+  if (pruned) persist();
+}
+
+function reserved(sku) {
+  let total = 0;
+  for (const r of Object.values(load().reservations)) {
+    for (const line of r.lines) if (line.sku === sku) total += line.varQ;
+  }
+  return total;
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/* Units that can still be sold, or null if the SKU's stock is not tracked */
+function getAvailable(sku) {
+  pruneReservations();
+
+  const stock = load().stock[sku];
+  if (!stock || !Number.isFinite(stock.onHand)) return null;
+  return Math.max(0, stock.onHand - reserved(sku));
+}
+
+/* Stock overview: [{ sku, onHand, reserved, available, updatedAt }] */
+function listInventory() {
+  pruneReservations();
+
+  return Object.entries(load().stock).map(([sku, s]) => ({
+    sku,
+    onHand: s.onHand,
+    reserved: reserved(sku),
+    available: Math.max(0, s.onHand - reserved(sku)),
+    updatedAt: s.updatedAt
+  }));
+}
+
+/* Set onHand for a SKU (local source / sync); returns the previous value or null */
+function setOnHand(sku, onHand) {
+  const { stock } = load();
+  const previous = stock[sku]?.onHand ?? null;
+
+  stock[sku] = { onHand, updatedAt: new Date().toISOString() };
+  persist();
+  return previous;
+}
+
+/**
+ * Reserve every line of a checkout, or none
+ * lines: [{ sku, varQ }]
+ * Returns { ok: true } or { error, sku, available }
+ */
+function reserveStock(ref, lines, expiresAt) {
+  for (const { sku, varQ } of lines) {
+    const available = getAvailable(sku);
+    if (available !== null && varQ > available) {
+      return { error: "insufficient stock", sku, available };
+    }
+  }
+
+  load().reservations[ref] = {
+    lines: lines.map(({ sku, varQ }) => ({ sku, varQ })),
+    expiresAt,
+    createdAt: new Date().toISOString()
+  };
+  persist();
+  return { ok: true };
+}
+
+/* Give a reservation's units back (draft expired / deleted / not created) */
+function releaseReservation(ref) {
+  const { reservations } = load();
+  if (!reservations[ref]) return false;
+
+  delete reservations[ref];
+  persist();
+  return true;
+}
+
+/**
+ * A reservation became a sale: take its units off hand (and off the source)
+ * lines: the sale's [{ sku, varQ }], committed when the reservation is
+ * already gone (released at expiry before the completion arrived)
+ */
+async function commitReservation(ref, lines = null) {
+  const { reservations, stock } = load();
+  const r = reservations[ref] || (lines && { lines });
+  if (!r) return false;
+
+  delete reservations[ref];
+  for (const { sku, varQ } of r.lines) {
+    if (stock[sku]) {
+      stock[sku] = { onHand: stock[sku].onHand - varQ, updatedAt: new Date().toISOString() };
+    }
+  }
+  persist();
+
+  for (const { sku, varQ } of r.lines) {
+    try {
+      await source.commit(sku, varQ);
+    } catch (err) {
+      log.error("Inventory commit failed", { sku, varQ, source: source.name, err });
+    }
+  }
+  return true;
+}
+
+/* Pull onHand from the source (no-op for local); returns the SKUs updated */
+async function syncInventory() {
+  const levels = await source.sync();
+  if (!levels) return [];
+
+  for (const [sku, onHand] of Object.entries(levels)) {
+    setOnHand(sku, onHand);
+  }
+  return Object.keys(levels);
+}
+
+module.exports = {
+  useInventorySource,
+  inventorySource,
+  getAvailable,
+  listInventory,
+  setOnHand,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  syncInventory
+};
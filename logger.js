@@ -0,0 +1,89 @@
+/**
+ * LOGGER
+ *
+ * One JSON object per line: { time, level, msg, ...fields }
+ *   log.info("Fetched spot", { metal, varS })
+ *   log.error("Draft order error", { err })
+ *
+ * Secrets never reach the log:
+ * - fields named like secrets (token, secret, password, api key, ...) are masked
+ * - values of secret environment variables are masked wherever they appear
+ * - secret query parameters in URLs (api_key=..., access_token=...) are masked
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+
+const REDACTED = "[REDACTED]";
+
+const SECRET_NAME_RE = /secret|token|password|passwd|api_?key|apikey|authorization|cookie|signature|hmac|smtp_pass/i;
+const SECRET_PARAM_RE = /([?&](?:api_key|apikey|access_token|token|signature|hmac|code)=)[^&\s"]+/gi;
+
+// Values of secret-looking environment variables (short values would mask too much)
+const secretValues = Object.entries(process.env)
+  .filter(([name, value]) => SECRET_NAME_RE.test(name) && value && value.length >= 8)
+  .map(([, value]) => value);
+
+/* -----------------------------
+   REDACTION
+-------------------------------- */
+
+function redactString(s) {
+  let out = s.replace(SECRET_PARAM_RE, `$1${REDACTED}`);
+  for (const secret of secretValues) out = out.split(secret).join(REDACTED);
+  return out;
+}
+
+// Own properties (code, status, service, ...) are kept alongside name / message / stack
+function serializeError(err) {
+  return {
+    ...redact({ ...err }),
+    name: err.name,
+    message: redactString(String(err.message)),
+    stack: err.stack ? redactString(err.stack) : undefined
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object" || depth > 5) return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SECRET_NAME_RE.test(key) && v !== null && v !== undefined
+      ? REDACTED
+      : redact(v, depth + 1);
+  }
+  return out;
+}
+
+/* -----------------------------
+   OUTPUT
+-------------------------------- */
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...redact(fields)
+  });
+
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+module.exports = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+  redact
+};
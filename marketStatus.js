@@ -2,13 +2,14 @@
  * MARKET STATUS ENGINE
  *
  * Owns all logic related to:
- * - Scheduled market open / close
+ * - Scheduled market open / close (calendar.js: holidays, early closes)
  * - Daily breaks
  * - Surprise market freeze detection
  *
  * This module:
  * - Does NOT fetch pricing data itself
  * - Operates only on passed-in cache
+ * - Detects freezes from the reference metal's spot (passed-in market)
  * - Is the sole authority over cache.varMStatus
  */
 
@@ -18,85 +19,73 @@ const MARKET_BREAK  = 2;
 const MARKET_FREEZE = 3;
 
 /* -----------------------------
-   MARKET SCHEDULE (ET)
+   MARKET SCHEDULE
 -------------------------------- */
 
-// Sunday open @ 6:00 PM ET
-const varMOpen = new Date();
-varMOpen.setHours(18, 0, 0, 0);
-
-// Friday close @ 5:00 PM ET
-const varMClose = new Date();
-varMClose.setHours(17, 0, 0, 0);
-
-// Monday–Thursday daily break
-const varMOnBreak = [
-  new Date().setHours(17, 0, 0, 0), // Monday break start at 5:00 PM
-  new Date().setHours(17, 0, 0, 0), // Tuesday break start at 5:00 PM
-  new Date().setHours(17, 0, 0, 0), // Wednesday break start at 5:00 PM
-  new Date().setHours(17, 0, 0, 0), // Thursday break start at 5:00 PM
-];
-
-const varMOffBreak = [
-  new Date().setHours(18, 0, 0, 0), // Monday break end at 6:00 PM
-  new Date().setHours(18, 0, 0, 0), // Tuesday break end at 6:00 PM
-  new Date().setHours(18, 0, 0, 0), // Wednesday break end at 6:00 PM
-  new Date().setHours(18, 0, 0, 0), // Thursday break end at 6:00 PM
-];
+// Weekly open / close, daily breaks, holidays and early closes: see calendar.js
+const {
+  getCalendarStatus,
+  CALENDAR_OPEN,
+  CALENDAR_BREAK
+} = require("./calendar");
+const log = require("./logger");
 
 /* -----------------------------
-   HELPERS
+   STATUS CHANGE LISTENERS
 -------------------------------- */
 
-function getEastCoastTime(now = new Date()) {
-  return new Date(
-    now.toLocaleString("en-US", { timeZone: "America/New_York" })
-  );
-}
+const statusListeners = [];
 
 /**
- * Scheduled market status only
- * (ignores surprise freeze state)
+ * Register a callback for market status transitions
+ * Called as fn({ from, to, reason }) whenever cache.varMStatus changes
  */
-function getScheduledMarketStatus(now = new Date()) {
-  const et = getEastCoastTime(now);
-  const day = et.getDay(); // 0 = Sun, 6 = Sat
+function onStatusChange(fn) {
+  statusListeners.push(fn);
+}
 
-  // Monday–Thursday
-  if (day >= 1 && day <= 4) {
-    const onBreak  = varMOnBreak[day - 1];
-    const offBreak = varMOffBreak[day - 1];
+function setStatus(cache, status, reason) {
+  const from = cache.varMStatus;
+  cache.varMStatus = status;
 
-    if (et >= onBreak && et < offBreak) {
-      return MARKET_BREAK;
+  if (from === status) return;
+
+  for (const fn of statusListeners) {
+    try {
+      fn({ from, to: status, reason });
+    } catch (err) {
+      log.error("Status listener error", { err });
     }
-    return MARKET_OPEN;
   }
+}
 
-  // Friday
-  if (day === 5) {
-    if (et >= varMClose) return MARKET_CLOSED;
-    return MARKET_OPEN;
-  }
+/* -----------------------------
+   HELPERS
+-------------------------------- */
 
-  // Sunday
-  if (day === 0) {
-    if (et >= varMOpen) return MARKET_OPEN;
-    return MARKET_CLOSED;
-  }
+/**
+ * Scheduled market status only
+ * (ignores surprise freeze state)
+ * Returns { status, reason, nextOpen, nextClose }
+ */
+function getScheduledMarketStatus(now = new Date()) {
+  const { status, reason, nextOpen, nextClose } = getCalendarStatus(now);
+
+  let code = MARKET_CLOSED;
+  if (status === CALENDAR_OPEN) code = MARKET_OPEN;
+  if (status === CALENDAR_BREAK) code = MARKET_BREAK;
 
-  // Saturday
-  return MARKET_CLOSED;
+  return { status: code, reason, nextOpen, nextClose };
 }
 
 /* -----------------------------
    SURPRISE FREEZE DETECTION
 -------------------------------- */
 
-async function lookForSurpriseClosure(cache, fetchSpot) {
-  const prevSpot = cache.varS;
+async function lookForSurpriseClosure(cache, market, fetchSpot) {
+  const prevSpot = market.varS;
 
-  console.log("Testing for surprise market closure in 2 minutes...");
+  log.info("Testing for surprise market closure in 2 minutes");
 
   await new Promise(r => setTimeout(r, 2 * 60 * 1000));
 
@@ -104,11 +93,11 @@ async function lookForSurpriseClosure(cache, fetchSpot) {
 
   if (
     Number.isFinite(prevSpot) &&
-    Number.isFinite(cache.varS) &&
-    cache.varS === prevSpot
+    Number.isFinite(market.varS) &&
+    market.varS === prevSpot
   ) {
-    cache.varMStatus = MARKET_FREEZE;
-    console.log("Surprise market closure detected.");
+    setStatus(cache, MARKET_FREEZE, "surprise freeze");
+    log.warn("Surprise market closure detected");
   }
 
   cache.alertmode = 0;
@@ -121,27 +110,38 @@ async function lookForSurpriseClosure(cache, fetchSpot) {
 /**
  * Single entry point for market status updates
  *
+ * market: per-metal cache of the reference metal (cache.metals[...])
+ * fetchSpot: refreshes market.varS
+ *
  * This function is the ONLY place that should mutate:
  * - cache.varMStatus
  * - cache.alertmode
+ * - cache.schedule (reason, next open / close)
  */
-function updateMarketStatus(cache, currentSpot, fetchSpot) {
-  const scheduledStatus = getScheduledMarketStatus();
+function updateMarketStatus(cache, market, currentSpot, fetchSpot) {
+  const schedule = getScheduledMarketStatus();
+  const scheduledStatus = schedule.status;
+
+  cache.schedule = {
+    reason: schedule.reason,
+    nextOpen: schedule.nextOpen && schedule.nextOpen.toISOString(),
+    nextClose: schedule.nextClose && schedule.nextClose.toISOString()
+  };
 
   // If currently frozen, test exit conditions
   if (cache.varMStatus === MARKET_FREEZE) {
     if (
-      cache.varS !== currentSpot &&
+      market.varS !== currentSpot &&
       scheduledStatus !== MARKET_CLOSED
     ) {
-      cache.varMStatus = MARKET_OPEN;
-      console.log("Spot change ended freeze");
+      setStatus(cache, MARKET_OPEN, "spot change ended freeze");
+      log.info("Spot change ended freeze");
       return;
     }
 
     if (scheduledStatus === MARKET_CLOSED) {
-      cache.varMStatus = MARKET_CLOSED;
-      console.log("Market close ended freeze");
+      setStatus(cache, MARKET_CLOSED, "market close ended freeze");
+      log.info("Market close ended freeze");
       return;
     }
 
@@ -152,19 +152,21 @@ function updateMarketStatus(cache, currentSpot, fetchSpot) {
   // Detect potential surprise freeze
   if (
     scheduledStatus === MARKET_OPEN &&
-    cache.varS === currentSpot &&
+    market.varS === currentSpot &&
     cache.alertmode === 0
   ) {
     cache.alertmode = 1;
-    lookForSurpriseClosure(cache, fetchSpot);
+    lookForSurpriseClosure(cache, market, fetchSpot);
   }
 
   // Normal scheduled state
-  cache.varMStatus = scheduledStatus;
+  setStatus(cache, scheduledStatus, schedule.reason);
 }
 
 module.exports = {
   updateMarketStatus,
+  getScheduledMarketStatus,
+  onStatusChange,
 
   // exported for clarity / testing
   MARKET_CLOSED,
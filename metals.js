@@ -0,0 +1,74 @@
+/**
+ * METALS
+ *
+ * The metal is a first-class dimension across fetchers, cache,
+ * pricing and proxy endpoints. Names match the metals.dev API.
+ */
+
+const SUPPORTED_METALS = ["silver", "gold", "platinum", "palladium"];
+
+// Used when a request does not name a metal
+const DEFAULT_METAL = "silver";
+
+function isSupportedMetal(metal) {
+  return SUPPORTED_METALS.includes(metal);
+}
+
+/**
+ * Parse a metal name from a request / config value
+ * Missing -> DEFAULT_METAL, unknown -> null
+ */
+function parseMetal(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_METAL;
+  }
+
+  const metal = String(value).trim().toLowerCase();
+  return isSupportedMetal(metal) ? metal : null;
+}
+
+/* Fresh per-metal market cache (one per tracked metal) */
+function createMetalCache() {
+  return {
+    // Private reference closes (calendar-based)
+    varC1: null,
+    varC30: null,
+    varC365: null,
+
+    // Public market outputs
+    varS: null,
+    varSi: null,
+    // When varS was last fetched (ISO)
+    spotAt: null,
+
+    varCd: null,
+    varCdp: null,
+
+    varCm: null,
+    varCmp: null,
+
+    varCy: null,
+    varCyp: null,
+
+    // Spot floor (median signal by default)
+    varSm: null,
+    // Floor detail: strategy, status and inputs (see floor.js)
+    floor: null,
+
+    // Provider each value came from (see providers/)
+    sources: {
+      varS: null,
+      varC1: null,
+      varC30: null,
+      varC365: null
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_METALS,
+  DEFAULT_METAL,
+  isSupportedMetal,
+  parseMetal,
+  createMetalCache
+};
@@ -0,0 +1,118 @@
+/**
+ * METRICS
+ *
+ * Minimal Prometheus registry, rendered in the text exposition format
+ * by /metrics.
+ * - counter(name, help)           inc(labels, n = 1)
+ * - gauge(name, help, collect)    collect() -> [{ labels, value }] at scrape time
+ *
+ * Modules record through the shared metrics below.
+ */
+
+const counters = [];
+const gauges = [];
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels = {}) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined || Number.isNaN(v)) return null;
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+/* -----------------------------
+   REGISTRY
+-------------------------------- */
+
+function counter(name, help) {
+  const values = new Map(); // label string -> value
+
+  const metric = {
+    name,
+    help,
+    inc(labels = {}, n = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + n);
+    },
+    render() {
+      return [...values].map(([labels, v]) => `${name}${labels} ${v}`);
+    }
+  };
+
+  counters.push(metric);
+  return metric;
+}
+
+function gauge(name, help, collect) {
+  const metric = {
+    name,
+    help,
+    render() {
+      return collect()
+        .map(({ labels, value }) => [formatLabels(labels), formatValue(value)])
+        .filter(([, v]) => v !== null)
+        .map(([labels, v]) => `${name}${labels} ${v}`);
+    }
+  };
+
+  gauges.push(metric);
+  return metric;
+}
+
+/* Text exposition format */
+function render() {
+  const lines = [];
+  for (const [type, metrics] of [["counter", counters], ["gauge", gauges]]) {
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${type}`, ...m.render());
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* -----------------------------
+   SHARED METRICS
+-------------------------------- */
+
+const providerCalls = counter(
+  "engine_provider_calls_total",
+  "Market data provider calls by provider, operation and outcome (ok, empty, error)"
+);
+
+const httpRequests = counter(
+  "engine_http_requests_total",
+  "Outbound HTTP requests by service and status (or timeout, network_error)"
+);
+
+const pricingRequests = counter(
+  "engine_pricing_requests_total",
+  "Pricing requests by endpoint and HTTP status"
+);
+
+const draftOrders = counter(
+  "engine_draft_orders_total",
+  "Draft order requests by outcome and HTTP status"
+);
+
+module.exports = {
+  counter,
+  gauge,
+  render,
+
+  providerCalls,
+  httpRequests,
+  pricingRequests,
+  draftOrders
+};
@@ -0,0 +1,161 @@
+/**
+ * MONEY
+ *
+ * Exact decimal arithmetic for prices and deltas. Binary floats cannot
+ * hold most cent values (0.29 * 100 is 28.999999999999996), so truncating
+ * or rounding them directly can be a cent off.
+ *
+ * Here every input number is read at its shortest decimal form (29.35 is
+ * exactly 29.35), combined as scaled BigInts without loss, and rounded
+ * once, to a given number of decimals, with an explicit mode:
+ * - ROUND_TRUNCATE    toward zero
+ * - ROUND_HALF_UP     to nearest, ties away from zero
+ * - ROUND_HALF_EVEN   to nearest, ties to the even digit (banker's)
+ *
+ * Results are plain numbers again (the nearest double to the exact
+ * decimal, which prints as that decimal). Non-finite inputs give null.
+ */
+
+const ROUND_TRUNCATE  = "truncate";
+const ROUND_HALF_UP   = "half_up";
+const ROUND_HALF_EVEN = "half_even";
+
+const ROUNDING_MODES = [ROUND_TRUNCATE, ROUND_HALF_UP, ROUND_HALF_EVEN];
+
+const NUMBER_RE = /^(-?)(\d+)(?:\.(\d+))?(?:e([+-]\d+))?$/;
+
+/* -----------------------------
+   DECIMALS
+-------------------------------- */
+
+// A decimal is { n: BigInt, scale }, worth n / 10^scale
+
+function pow10(exp) {
+  return 10n ** BigInt(exp);
+}
+
+function toDecimal(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return null;
+
+  const [, sign, int, frac = "", exp = "0"] = NUMBER_RE.exec(String(v));
+  const n = BigInt(sign + int + frac);
+  const scale = frac.length - Number(exp);
+
+  return scale >= 0 ? { n, scale } : { n: n * pow10(-scale), scale: 0 };
+}
+
+function toNumber(d) {
+  return Number(`${d.n}e-${d.scale}`);
+}
+
+function rescale(d, scale) {
+  return { n: d.n * pow10(scale - d.scale), scale };
+}
+
+/* num / den as an integer, rounded with mode */
+function divideRounded(num, den, mode) {
+  if (den < 0n) {
+    num = -num;
+    den = -den;
+  }
+
+  const q = num / den; // BigInt division truncates toward zero
+  const r = num % den;
+  if (r === 0n || mode === ROUND_TRUNCATE) return q;
+
+  const away = q + (num < 0n ? -1n : 1n);
+  const twice = (r < 0n ? -r : r) * 2n;
+
+  if (twice > den) return away;
+  if (twice < den) return q;
+  return mode === ROUND_HALF_UP || q % 2n !== 0n ? away : q;
+}
+
+function roundDecimal(d, decimals, mode) {
+  if (d.scale <= decimals) return d;
+  return { n: divideRounded(d.n, pow10(d.scale - decimals), mode), scale: decimals };
+}
+
+/* da / db as a number rounded to decimals, null when db is 0 */
+function quotient(da, db, decimals, mode) {
+  if (db.n === 0n) return null;
+
+  // da / db = (da.n * 10^db.scale) / (db.n * 10^da.scale); shifted by 10^decimals
+  const num = da.n * pow10(db.scale + decimals);
+  const den = db.n * pow10(da.scale);
+  return toNumber({ n: divideRounded(num, den, mode), scale: decimals });
+}
+
+function checkMode(mode) {
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(`rounding mode must be one of ${ROUNDING_MODES.join(", ")}`);
+  }
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/* v rounded to decimals */
+function round(v, decimals, mode) {
+  checkMode(mode);
+  const d = toDecimal(v);
+  return d && toNumber(roundDecimal(d, decimals, mode));
+}
+
+/* Exact sum (decimal inputs add without rounding) */
+function add(values) {
+  const ds = values.map(toDecimal);
+  if (ds.some((d) => d === null)) return null;
+
+  const scale = Math.max(0, ...ds.map((d) => d.scale));
+  return toNumber({ n: ds.reduce((sum, d) => sum + rescale(d, scale).n, 0n), scale });
+}
+
+/* Exact a - b */
+function subtract(a, b) {
+  return add([a, Number.isFinite(b) ? -b : b]);
+}
+
+/* Product of values, rounded once to decimals */
+function multiply(values, decimals, mode) {
+  checkMode(mode);
+  const ds = values.map(toDecimal);
+  if (ds.some((d) => d === null)) return null;
+
+  const product = ds.reduce(
+    (acc, d) => ({ n: acc.n * d.n, scale: acc.scale + d.scale }),
+    { n: 1n, scale: 0 }
+  );
+  return toNumber(roundDecimal(product, decimals, mode));
+}
+
+/* a / b rounded to decimals (null when b is 0) */
+function divide(a, b, decimals, mode) {
+  checkMode(mode);
+  const da = toDecimal(a);
+  const db = toDecimal(b);
+  return da && db && quotient(da, db, decimals, mode);
+}
+
+/* part as a percentage of whole (part / whole * 100), rounded to decimals */
+function percent(part, whole, decimals, mode) {
+  checkMode(mode);
+  const dp = toDecimal(part);
+  const dw = toDecimal(whole);
+  return dp && dw && quotient({ n: dp.n * 100n, scale: dp.scale }, dw, decimals, mode);
+}
+
+module.exports = {
+  round,
+  add,
+  subtract,
+  multiply,
+  divide,
+  percent,
+
+  ROUND_TRUNCATE,
+  ROUND_HALF_UP,
+  ROUND_HALF_EVEN,
+  ROUNDING_MODES
+};
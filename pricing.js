@@ -1,22 +1,38 @@
 // PRICING – HexStack backend pricing (authoritative)
 
-const varA = 35.0;   // premium %, no discount
-const varB = 15.0;   // premium %, max discount
-const varC = 50;    // quantity for max discount
-const varD = 1;      // quantity for no discount
-const varX = 2.2;    // discount curve exponent: higher = more aggressive early discount
+// Premium curve (varA..varX), weight (varG) and limits are per SKU: see catalog.js
+// Customer tiers override the curve per SKU: see tiers.js
+// Buybacks (customer sells to us) use the SKU's own discount-below-spot curve
 
-const varG = 3.0;    // ounces per HexStack (backend truth)
+// Money is computed exactly (see money.js), rounded once per field:
+//   varPf / varDf  premium / discount factor, PF_DECIMALS, half-even (the curve's power is irrational)
+//   varTu          unit price, cents, truncated (never up against the customer, nor against us on buybacks)
+//   varTd          varTu * varQ, exact: what Shopify charges for the line
+//   discountPct    2 decimals, half-up (display only)
+
+const { getProduct } = require("./catalog");
+const { applyTier } = require("./tiers");
+const { add, subtract, multiply, round, ROUND_TRUNCATE, ROUND_HALF_UP, ROUND_HALF_EVEN } = require("./money");
+
+const PF_DECIMALS = 8;
 
 /* ---------- helpers ---------- */
 
-function truncate2(v) {
-  return Number.isFinite(v)
-    ? Math.trunc(v * 100) / 100
-    : null;
+/* Curve factor plus extra points (percent), as an exact decimal factor */
+function factor(varQ, curveParams, extraPct) {
+  return add([
+    round(computeVarPf(varQ, curveParams), PF_DECIMALS, ROUND_HALF_EVEN),
+    round(extraPct / 100, PF_DECIMALS, ROUND_HALF_EVEN)
+  ]);
+}
+
+function lineTotal(varTu, varQ) {
+  return multiply([varTu, varQ], 2, ROUND_TRUNCATE);
 }
 
-function computeVarPf(varQ) {
+function computeVarPf(varQ, curveParams) {
+  const { varA, varB, varC, varD, varX } = curveParams;
+
   // Bounds
   if (varQ <= varD) return varA / 100;
   if (varQ >= varC) return varB / 100;
@@ -41,10 +57,21 @@ function computeVarPf(varQ) {
 
 /* ---------- main ---------- */
 
-function getPricing(cache, varQ) {
+/**
+ * Price a quantity of a product definition against its metal's market cache
+ * varSm: spot floor to use instead of the cached one (admin preview)
+ */
+function priceProduct(cache, varQ, product, {
+  discountQ = varQ,
+  extraPremiumPct = 0,
+  varSm = cache.metals?.[product.metal]?.varSm
+} = {}) {
   if (!Number.isFinite(varQ) || varQ <= 0) return null;
 
-  const { varS, varSm } = cache;
+  const market = cache.metals?.[product.metal];
+  if (!market) return null;
+
+  const { varS } = market;
   if (!Number.isFinite(varS)) return null;
 
   // Conditional spot floor
@@ -53,19 +80,96 @@ function getPricing(cache, varQ) {
     : varS;
 
   // Premium factor (decimal)
-  const varPf = computeVarPf(varQ);
+  const varPf = factor(discountQ, product.curve, extraPremiumPct);
 
   // Unit price (authoritative)
-  const rawTu = varSc * (1 + varPf) * varG;
-  const varTu = truncate2(rawTu);
+  const varTu = multiply([varSc, add([1, varPf]), product.varG], 2, ROUND_TRUNCATE);
 
   // Total (authoritative)
-  const varTd = truncate2(varTu * varQ);
+  const varTd = lineTotal(varTu, varQ);
 
   return {
+    sku: product.sku,
+    metal: product.metal,
+    varQ,
+    varS,
     varTu,
     varTd
   };
 }
 
-module.exports = { getPricing };
+/**
+ * Price a SKU quantity against its metal's market cache
+ * cache: root cache holding per-metal data in cache.metals
+ * discountQ: quantity the premium curve is evaluated at (cart total), defaults to varQ
+ * extraPremiumPct: premium points added on top of the curve (see tradingRules.js)
+ * tier: customer tier whose curve applies (see tiers.js), standard pricing if omitted
+ */
+function getPricing(cache, varQ, sku, { tier = null, ...options } = {}) {
+  const product = getProduct(sku);
+  if (!product) return null;
+
+  return priceProduct(cache, varQ, applyTier(product, tier), options);
+}
+
+/**
+ * Price a cart of { sku, quantity } items
+ * combineQuantity: evaluate every line's premium curve at the combined cart quantity
+ * extraPremiumPct, tier: applied to every line, as in getPricing
+ * Returns { lines, varQ, varTd } or null if any line cannot be priced
+ */
+function getCartPricing(cache, items, { combineQuantity = true, extraPremiumPct = 0, tier = null } = {}) {
+  const totalQ = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  const lines = [];
+  for (const { sku, quantity } of items) {
+    const line = getPricing(cache, quantity, sku, {
+      discountQ: combineQuantity ? totalQ : quantity,
+      extraPremiumPct,
+      tier
+    });
+    if (!line) return null;
+    lines.push(line);
+  }
+
+  return {
+    lines,
+    varQ: totalQ,
+    varTd: add(lines.map((l) => l.varTd))
+  };
+}
+
+/**
+ * Price a buyback (customer sells a SKU quantity to us)
+ * Discount below the live spot varS from the SKU's buyback curve; the spot
+ * floor varSm only protects sales and is not applied here.
+ * extraDiscountPct: discount points added on top of the curve (see tradingRules.js)
+ * Returns null if the SKU is not bought back or cannot be priced
+ */
+function getBuybackPricing(cache, varQ, sku, { extraDiscountPct = 0 } = {}) {
+  const product = getProduct(sku);
+  if (!product?.buyback) return null;
+  if (!Number.isFinite(varQ) || varQ <= 0) return null;
+
+  const varS = cache.metals?.[product.metal]?.varS;
+  if (!Number.isFinite(varS)) return null;
+
+  // Discount factor (decimal): same curve shape as the premium
+  const varDf = factor(varQ, product.buyback.curve, extraDiscountPct);
+
+  // Truncation rounds what we pay down
+  const varTu = multiply([varS, subtract(1, varDf), product.varG], 2, ROUND_TRUNCATE);
+  const varTd = lineTotal(varTu, varQ);
+
+  return {
+    sku: product.sku,
+    metal: product.metal,
+    varQ,
+    varS,
+    varTu,
+    varTd,
+    discountPct: multiply([varDf, 100], 2, ROUND_HALF_UP)
+  };
+}
+
+module.exports = { priceProduct, getPricing, getCartPricing, getBuybackPricing };
@@ -0,0 +1,61 @@
+/**
+ * Local fixture provider (last resort / offline development)
+ *
+ * Serves prices from a JSON file (FIXTURE_PATH, default config/fixture-prices.json):
+ *   {
+ *     "spot":   { "silver": 30.12, ... },
+ *     "closes": { "2025-01-02": { "silver": 29.8, ... }, ... },
+ *     "fx":     { "EUR": 0.92, ... }   (units per USD, optional)
+ *   }
+ *
+ * The file is re-read on every call so it can be edited while running.
+ * As a fallback behind a live provider, its spot does not count as a
+ * successful fetch (see server.js fetchSpot).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, "..", "config", "fixture-prices.json");
+
+function createFixtureProvider({ file = DEFAULT_FIXTURE_PATH } = {}) {
+  const read = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+  function pick(day, metals) {
+    return Object.fromEntries(metals.map((m) => [m, Number(day?.[m])]));
+  }
+
+  return {
+    name: "fixture",
+
+    async getSpot(metal) {
+      return Number(read().spot?.[metal]);
+    },
+
+    async getCloses(date, metals) {
+      return pick(read().closes?.[date], metals);
+    },
+
+    async getFxRates(currencies) {
+      const fx = read().fx || {};
+      return {
+        rates: Object.fromEntries(currencies.map((c) => [c, Number(fx[c])])),
+        at: null
+      };
+    },
+
+    async getTimeseries(startDate, endDate, metals) {
+      const closes = read().closes || {};
+      const series = {};
+
+      for (const date of Object.keys(closes)) {
+        if (date >= startDate && date <= endDate) {
+          series[date] = pick(closes[date], metals);
+        }
+      }
+      return series;
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
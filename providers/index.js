@@ -0,0 +1,142 @@
+/**
+ * MARKET DATA PROVIDERS
+ *
+ * Every provider implements:
+ *   name
+ *   getSpot(metal)                           -> price (USD / oz)
+ *   getCloses(date, metals)                  -> { [metal]: close }
+ *   getTimeseries(startDate, endDate, metals) -> { [date]: { [metal]: close } }
+ *   getFxRates(currencies)                   -> { rates: { [code]: units per USD }, at }
+ *
+ * createMarketData() wraps a priority list of providers: each call goes
+ * to the first provider returning usable data, falling over on errors
+ * or empty/non-finite responses. Results are normalized (non-finite
+ * values become null / are dropped) and name the provider they came from.
+ *
+ * FIXTURE_PROVIDER data is static: behind a live provider, its spot is not
+ * treated as live (see server.js fetchSpot).
+ */
+
+const { createMetalsDevProvider } = require("./metalsDev");
+const { createMetalpriceApiProvider } = require("./metalpriceApi");
+const { createFixtureProvider } = require("./fixture");
+const log = require("../logger");
+const { providerCalls } = require("../metrics");
+
+const FIXTURE_PROVIDER = "fixture";
+
+/* -----------------------------
+   FACTORIES
+-------------------------------- */
+
+// name -> (env) => provider; throws when required configuration is missing
+const FACTORIES = {
+  metalsdev: (env) => {
+    if (!env.PUBLISHER_API_KEY) throw new Error("metalsdev needs PUBLISHER_API_KEY");
+    return createMetalsDevProvider({ apiKey: env.PUBLISHER_API_KEY });
+  },
+
+  metalpriceapi: (env) => {
+    if (!env.METALPRICEAPI_KEY) throw new Error("metalpriceapi needs METALPRICEAPI_KEY");
+    return createMetalpriceApiProvider({ apiKey: env.METALPRICEAPI_KEY });
+  },
+
+  [FIXTURE_PROVIDER]: (env) => createFixtureProvider(
+    env.FIXTURE_PATH ? { file: env.FIXTURE_PATH } : {}
+  )
+};
+
+function createProviders(names, env = process.env) {
+  return names.map((name) => {
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown market data provider "${name}"`);
+    return factory(env);
+  });
+}
+
+/* -----------------------------
+   FAILOVER
+-------------------------------- */
+
+const finiteOrNull = (v) => (Number.isFinite(v) && v > 0 ? v : null);
+
+function createMarketData(providers) {
+  // Try providers in order until normalize() returns non-null
+  async function firstUsable(operation, label, call, normalize) {
+    for (const provider of providers) {
+      const labels = { provider: provider.name, operation };
+      try {
+        const value = normalize(await call(provider));
+        if (value !== null) {
+          providerCalls.inc({ ...labels, outcome: "ok" });
+          return { value, provider: provider.name };
+        }
+        providerCalls.inc({ ...labels, outcome: "empty" });
+        log.warn("Provider returned no data", { provider: provider.name, request: label });
+      } catch (err) {
+        providerCalls.inc({ ...labels, outcome: "error" });
+        log.error("Provider failed", { provider: provider.name, request: label, err });
+      }
+    }
+
+    log.error("All providers failed", { request: label });
+    return null;
+  }
+
+  return {
+    providerNames: providers.map((p) => p.name),
+
+    /* -> { value: price, provider } | null */
+    getSpot(metal) {
+      return firstUsable("spot", `spot ${metal}`, (p) => p.getSpot(metal), finiteOrNull);
+    },
+
+    /* -> { value: { [metal]: close | null }, provider } | null */
+    getCloses(date, metals) {
+      return firstUsable("closes", `closes ${date}`, (p) => p.getCloses(date, metals), (closes) => {
+        const out = Object.fromEntries(metals.map((m) => [m, finiteOrNull(closes?.[m])]));
+        return metals.some((m) => out[m] !== null) ? out : null;
+      });
+    },
+
+    /* -> { value: { rates: { [code]: units per USD }, at }, provider } | null */
+    getFxRates(currencies) {
+      return firstUsable("fx", `fx ${currencies.join(",")}`, (p) => p.getFxRates(currencies), (fx) => {
+        const rates = {};
+        for (const code of currencies) {
+          const rate = finiteOrNull(fx?.rates?.[code]);
+          if (rate !== null) rates[code] = rate;
+        }
+        return Object.keys(rates).length ? { rates, at: fx.at ?? null } : null;
+      });
+    },
+
+    /* -> { value: { [date]: { [metal]: close } }, provider } | null */
+    getTimeseries(startDate, endDate, metals) {
+      return firstUsable(
+        "timeseries",
+        `timeseries ${startDate}..${endDate}`,
+        (p) => p.getTimeseries(startDate, endDate, metals),
+        (series) => {
+          const out = {};
+          for (const [date, day] of Object.entries(series || {})) {
+            for (const m of metals) {
+              const v = finiteOrNull(day?.[m]);
+              if (v === null) continue;
+              out[date] = out[date] || {};
+              out[date][m] = v;
+            }
+          }
+          return Object.keys(out).length ? out : null;
+        }
+      );
+    }
+  };
+}
+
+module.exports = {
+  createProviders,
+  createMarketData,
+
+  FIXTURE_PROVIDER
+};
@@ -0,0 +1,94 @@
+/**
+ * metalpriceapi.com provider (secondary)
+ *
+ * Rates are quoted per 1 USD (XAG = ounces of silver per dollar),
+ * so prices are the inverse. Each metal maps to its ISO code.
+ *
+ * Spot:        /v1/latest?base=USD&currencies=XAG,...          -> rates.XAG
+ * Timeseries:  /v1/timeframe?start_date&end_date&base=USD&... -> rates[date].XAG
+ * FX:          /v1/latest?base=USD&currencies=EUR,...          -> rates.EUR (per USD)
+ */
+
+const { request, shape } = require("../httpClient");
+
+const BASE_URL = "https://api.metalpriceapi.com/v1";
+
+const RATES_SHAPE = shape({ rates: "object" });
+
+const METAL_CODES = {
+  silver: "XAG",
+  gold: "XAU",
+  platinum: "XPT",
+  palladium: "XPD"
+};
+
+function invert(rate) {
+  const r = Number(rate);
+  return Number.isFinite(r) && r > 0 ? 1 / r : NaN;
+}
+
+function createMetalpriceApiProvider({ apiKey }) {
+  async function get(path, params) {
+    const url = new URL(`${BASE_URL}${path}`);
+    url.searchParams.set("api_key", apiKey);
+    url.searchParams.set("base", "USD");
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+
+    // Failures come back as { success: false }: checked before the shape
+    const { data } = await request(url, {
+      service: "metalpriceapi",
+      validate: (d) => (d?.success === false
+        ? `${path}: ${d.error?.info || d.error?.code}`
+        : RATES_SHAPE(d))
+    });
+    return data;
+  }
+
+  const codes = (metals) => metals.map((m) => METAL_CODES[m]).join(",");
+
+  async function getTimeseries(startDate, endDate, metals) {
+    const data = await get("/timeframe", {
+      start_date: startDate,
+      end_date: endDate,
+      currencies: codes(metals)
+    });
+
+    const series = {};
+    for (const [date, rates] of Object.entries(data?.rates || {})) {
+      series[date] = {};
+      for (const metal of metals) {
+        series[date][metal] = invert(rates?.[METAL_CODES[metal]]);
+      }
+    }
+    return series;
+  }
+
+  return {
+    name: "metalpriceapi",
+
+    async getSpot(metal) {
+      const data = await get("/latest", { currencies: METAL_CODES[metal] });
+      return invert(data?.rates?.[METAL_CODES[metal]]);
+    },
+
+    async getCloses(date, metals) {
+      const series = await getTimeseries(date, date, metals);
+      return series[date] || {};
+    },
+
+    getTimeseries,
+
+    async getFxRates(currencies) {
+      const data = await get("/latest", { currencies: currencies.join(",") });
+
+      const rates = {};
+      for (const code of currencies) rates[code] = Number(data.rates[code]);
+      return {
+        rates,
+        at: Number.isFinite(data.timestamp) ? new Date(data.timestamp * 1000).toISOString() : null
+      };
+    }
+  };
+}
+
+module.exports = { createMetalpriceApiProvider };
@@ -0,0 +1,78 @@
+/**
+ * metals.dev provider
+ *
+ * Spot:        /v1/metal/spot?metal=<metal>&currency=USD  -> rate.price
+ * Timeseries:  /v1/timeseries?start_date&end_date         -> rates[date].metals[metal]
+ * FX:          /v1/latest?currency=USD&unit=toz           -> currencies[code] (USD per unit)
+ * (max 30 days per timeseries call)
+ */
+
+const { request, shape } = require("../httpClient");
+
+const BASE_URL = "https://api.metals.dev/v1";
+
+const SPOT_SHAPE = shape({ "rate.price": "number|string" });
+const TIMESERIES_SHAPE = shape({ rates: "object" });
+const LATEST_SHAPE = shape({ currencies: "object" });
+
+function createMetalsDevProvider({ apiKey }) {
+  async function get(path, params, validate) {
+    const url = new URL(`${BASE_URL}${path}`);
+    url.searchParams.set("api_key", apiKey);
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+
+    // Failures come back as 200 { status: "failure" }: checked before the shape
+    const { data } = await request(url, {
+      service: "metalsdev",
+      validate: (d) => (d?.status === "failure"
+        ? `${path}: ${d.error_message || d.error_code}`
+        : validate(d))
+    });
+    return data;
+  }
+
+  async function getTimeseries(startDate, endDate, metals) {
+    const data = await get("/timeseries", {
+      start_date: startDate,
+      end_date: endDate
+    }, TIMESERIES_SHAPE);
+
+    const series = {};
+    for (const [date, day] of Object.entries(data?.rates || {})) {
+      series[date] = {};
+      for (const metal of metals) {
+        series[date][metal] = Number(day?.metals?.[metal]);
+      }
+    }
+    return series;
+  }
+
+  return {
+    name: "metalsdev",
+
+    async getSpot(metal) {
+      const data = await get("/metal/spot", { metal, currency: "USD" }, SPOT_SHAPE);
+      return Number(data?.rate?.price);
+    },
+
+    async getCloses(date, metals) {
+      const series = await getTimeseries(date, date, metals);
+      return Object.values(series)[0] || {};
+    },
+
+    getTimeseries,
+
+    async getFxRates(currencies) {
+      const data = await get("/latest", { currency: "USD", unit: "toz" }, LATEST_SHAPE);
+
+      const rates = {};
+      for (const code of currencies) {
+        const usdPerUnit = Number(data.currencies[code]);
+        rates[code] = usdPerUnit > 0 ? 1 / usdPerUnit : NaN;
+      }
+      return { rates, at: data.timestamps?.currency ?? null };
+    }
+  };
+}
+
+module.exports = { createMetalsDevProvider };
@@ -0,0 +1,168 @@
+/**
+ * PRICE QUOTES
+ *
+ * Locks the price shown by /proxy/pricing (or /proxy/cart/pricing)
+ * so /proxy/draft-order charges exactly what the customer saw.
+ * A quote covers one or more priced lines (a cart).
+ *
+ * Prices are locked in the presentment currency they were shown in;
+ * the quote keeps the FX rate so spot moves are still checked in USD.
+ *
+ * Buyback quotes (/proxy/buyback) lock what we pay instead. A quote's
+ * side is signed with it, so one side can never be redeemed as the other.
+ *
+ * A quote id is a self-contained signed token:
+ *   base64url(JSON payload) + "." + hex HMAC-SHA256(payload)
+ *
+ * This module:
+ * - Does NOT compute prices (see pricing.js)
+ * - Tracks redeemed quotes in memory so each quote is single-use
+ */
+
+const crypto = require("crypto");
+
+const QUOTE_SALE    = "sale";
+const QUOTE_BUYBACK = "buyback";
+
+/* -----------------------------
+   REDEMPTION TRACKING
+-------------------------------- */
+
+// quote nonce -> expiry (ms), pruned once the quote could no longer be valid
+const redeemed = new Map();
+
+function pruneRedeemed(now = Date.now()) {
+  for (const [nonce, expiresAt] of redeemed) {
+    if (expiresAt <= now) redeemed.delete(nonce);
+  }
+}
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function sign(secret, encoded) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(encoded)
+    .digest("hex");
+}
+
+function decodeQuoteId(secret, quoteId) {
+  if (typeof quoteId !== "string") return null;
+
+  const [encoded, signature] = quoteId.split(".");
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(secret, encoded));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Issue a signed quote for computed prices
+ * lines: priced lines ({ sku, metal, varQ, varTu, varTd, varS }), varTd: cart total
+ * extraPremiumPct: trading-rule premium (or buyback discount) already included in the prices
+ * side: QUOTE_SALE | QUOTE_BUYBACK
+ * currency, fxRate: presentment currency of the prices and its rate per USD
+ * tier: customer tier id the prices were computed for (see tiers.js), checked at checkout
+ * Returns the public quote object sent to the storefront
+ */
+function issueQuote(secret, {
+  lines,
+  varTd,
+  extraPremiumPct = 0,
+  side = QUOTE_SALE,
+  currency = "USD",
+  fxRate = 1,
+  tier = null
+}, expiryMinutes) {
+  const payload = {
+    nonce: crypto.randomBytes(12).toString("hex"),
+    side,
+    currency,
+    fxRate,
+    tier,
+    lines: lines.map(({ sku, metal, varQ, varTu, varTd, varS }) => (
+      { sku, metal, varQ, varTu, varTd, varS }
+    )),
+    varTd,
+    extraPremiumPct,
+    expiresAt: Date.now() + expiryMinutes * 60 * 1000
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+  return {
+    quoteId: `${encoded}.${sign(secret, encoded)}`,
+    lines: payload.lines,
+    varTd,
+    currency,
+    expiresAt: new Date(payload.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Validate and consume a quote
+ *
+ * spotFor(metal) returns the current spot of a quoted line's metal.
+ * side: the side the caller honors (quotes issued before sides existed are sales)
+ * Returns { quote } on success or { error } describing why the
+ * quote cannot be honored. A consumed quote can be handed back with
+ * releaseQuote() if checkout fails before the customer gets a draft.
+ */
+function redeemQuote(secret, quoteId, spotFor, tolerancePct, side = QUOTE_SALE) {
+  const quote = decodeQuoteId(secret, quoteId);
+  if (!quote || (quote.side ?? QUOTE_SALE) !== side) return { error: "invalid quote" };
+
+  const now = Date.now();
+  pruneRedeemed(now);
+
+  if (now >= quote.expiresAt) return { error: "quote expired" };
+  if (redeemed.has(quote.nonce)) return { error: "quote already used" };
+
+  for (const line of quote.lines) {
+    const currentSpot = spotFor(line.metal);
+    if (!Number.isFinite(currentSpot)) {
+      return { error: "market data unavailable" };
+    }
+
+    // Quoted spot back in USD (quotes issued before currencies had no rate)
+    const quotedSpot = line.varS / (quote.fxRate || 1);
+    const movePct = Math.abs(currentSpot - quotedSpot) / quotedSpot * 100;
+    if (movePct > tolerancePct) {
+      return { error: "market moved, quote no longer valid" };
+    }
+  }
+
+  redeemed.set(quote.nonce, quote.expiresAt);
+  return { quote };
+}
+
+function releaseQuote(quote) {
+  redeemed.delete(quote.nonce);
+}
+
+module.exports = {
+  issueQuote,
+  redeemQuote,
+  releaseQuote,
+
+  QUOTE_SALE,
+  QUOTE_BUYBACK
+};
@@ -0,0 +1,54 @@
+/**
+ * RATE LIMITS
+ *
+ * Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+ * Kept in memory (per process, reset on restart), which is enough to stop
+ * double-submits and scripted floods against a single instance.
+ */
+
+// Sweep idle keys once the map grows past this
+const SWEEP_THRESHOLD = 10000;
+
+function createRateLimiter({ limit, windowMs }) {
+  // key -> hit timestamps (ms), oldest first
+  const hits = new Map();
+
+  function recent(key, now) {
+    const list = (hits.get(key) || []).filter((t) => t > now - windowMs);
+    if (list.length) hits.set(key, list);
+    else hits.delete(key);
+    return list;
+  }
+
+  function sweep(now) {
+    for (const key of [...hits.keys()]) recent(key, now);
+  }
+
+  return {
+    limit,
+    windowMs,
+
+    /**
+     * Count a hit for key unless over the limit
+     * Returns { allowed, remaining, retryAfterSeconds }
+     */
+    take(key, now = Date.now()) {
+      if (hits.size > SWEEP_THRESHOLD) sweep(now);
+
+      const list = recent(key, now);
+      if (list.length >= limit) {
+        return {
+          allowed: false,
+          remaining: 0,
+          retryAfterSeconds: Math.max(1, Math.ceil((list[0] + windowMs - now) / 1000))
+        };
+      }
+
+      list.push(now);
+      hits.set(key, list);
+      return { allowed: true, remaining: limit - list.length, retryAfterSeconds: 0 };
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
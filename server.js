@@ -1,83 +1,298 @@
 /**
  * ENGINE – Market Data Backend
  *
- * - Fetches metals.dev data
+ * - Fetches market data (metals.dev by default, see providers/)
  * - Caches calendar-based closes
  * - Computes deltas and signals
  * - Exposes data via Shopify App Proxy
+ * - Exposes /metrics (Prometheus), /healthz and /readyz
  */
 
 const express = require("express");
 const crypto = require("crypto");
 const cron = require("node-cron");
 
-const { updateMarketStatus } = require("./marketStatus");
-const { getPricing } = require("./pricing");
+const { updateMarketStatus, onStatusChange } = require("./marketStatus");
+const { getPricing, getCartPricing, getBuybackPricing } = require("./pricing");
+const {
+  getProduct,
+  getDefaultSku,
+  getProductForMetal,
+  getCatalogMetals
+} = require("./catalog");
+const { issueQuote, redeemQuote, releaseQuote, QUOTE_BUYBACK } = require("./quotes");
+const { evaluateTradingRules, tradingSummary } = require("./tradingRules");
+const { initSettings, getSettings, onSettingsChange } = require("./settings");
+const { computeFloor } = require("./floor");
+const { createSpotBreaker, PRICING_DEGRADED } = require("./spotBreaker");
+const { createAdminRouter, parseAdminUsers, safeEqual } = require("./admin");
+const {
+  createSender,
+  useSender,
+  alertsEnabled,
+  parseAlert,
+  createAlert,
+  listAlerts,
+  deleteAlert,
+  evaluateAlerts
+} = require("./alerts");
+const storage = require("./storage");
+const log = require("./logger");
+const metrics = require("./metrics");
+const {
+  isValidShopDomain,
+  createInstallState,
+  consumeInstallState,
+  verifyOAuthHmac
+} = require("./shopAuth");
+const { saveToken, getToken, listShops } = require("./tokenStore");
+const {
+  recordDraft,
+  findDraftByIdempotencyKey,
+  countOpenDrafts,
+  expireStaleDrafts,
+  archiveClosedDrafts,
+  onDraftClosed,
+  DRAFT_COMPLETED
+} = require("./drafts");
+const {
+  useInventorySource,
+  getAvailable,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  syncInventory
+} = require("./inventory");
+const { createShopifyInventorySource } = require("./shopifyInventory");
+const { createRateLimiter } = require("./rateLimit");
+const {
+  BASE_CURRENCY,
+  parseCurrency,
+  fxRate,
+  convertFields,
+  convertLine
+} = require("./currency");
+const { recordBuyback, listCustomerBuybacks } = require("./buybacks");
+const {
+  resolveTier,
+  applyTier,
+  tierSummary,
+  useTagSource,
+  STANDARD_TIER_ID
+} = require("./tiers");
+const money = require("./money");
+const { createProviders, createMarketData, FIXTURE_PROVIDER } = require("./providers");
+const { request, shape, HttpError } = require("./httpClient");
+const stream = require("./stream");
+const { createChartService, isChartRange, dedupeConsecutive, CHART_RANGES } = require("./chart");
+const {
+  verifyWebhookHmac,
+  handleWebhook,
+  registerWebhooks,
+  QUOTE_REF_ATTRIBUTE
+} = require("./webhooks");
+const {
+  DEFAULT_METAL,
+  isSupportedMetal,
+  parseMetal,
+  createMetalCache
+} = require("./metals");
 
 const app = express();
 
-app.use(express.json());
+// Behind Render's proxy: trust X-Forwarded-* for protocol / host
+app.set("trust proxy", 1);
 
-console.log("SHOPIFY_API_KEY:", process.env.SHOPIFY_API_KEY);
+// Keep the raw body: webhook HMACs are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 /* -----------------------------
    CONFIGURATION
 -------------------------------- */
 
-// Previous trading days used for median signal. Max 20
+// Defaults below marked "runtime" can be changed from /admin (see settings.js)
+
+// Previous trading days used for median signal. Max 20 (runtime)
 const varE = 7;
 
-// Spot refresh frequency (minutes)
+// Spot refresh frequency (minutes) (runtime)
 const varF = 10;
 
+// Spot floor varSm strategy for every metal, see floor.js (runtime)
+const FLOOR_DEFAULTS = {
+  strategy: "median",
+  minDays: 3,
+  manualValue: null,
+  manualExpiresAt: null
+};
+
+// Calendar days of stored closes the floor's trading days are taken from
+const FLOOR_LOOKBACK_DAYS = 30;
+
 // Troy ounces per token
 const varH = 0.1;
 
-// Draft order expiration (minutes)
+// Metals tracked (comma-separated metals.dev names), defaults to the catalog's metals
+const METALS = (process.env.METALS || getCatalogMetals().join(","))
+  .split(",")
+  .map((m) => m.trim().toLowerCase())
+  .filter(Boolean);
+
+// Presentment currencies priced besides USD (comma-separated ISO codes, see currency.js)
+const CURRENCIES = [BASE_CURRENCY, ...(process.env.CURRENCIES || "CAD,EUR")
+  .split(",")
+  .map((c) => c.trim().toUpperCase())
+  .filter((c) => c && c !== BASE_CURRENCY)];
+
+// FX rates older than this (hours) are not used for conversion
+const FX_MAX_AGE_HOURS = 24;
+
+// Metal whose spot drives market status / surprise freeze detection
+const REFERENCE_METAL = METALS.includes(DEFAULT_METAL) ? DEFAULT_METAL : METALS[0];
+
+// Draft order expiration (minutes); trading rules may shorten it per market status
 const DRAFT_EXPIRY_MINUTES = 10;
 
+// Price quote lifetime (minutes); trading rules may shorten it per market status
+const QUOTE_EXPIRY_MINUTES = envNumber("QUOTE_EXPIRY_MINUTES") ?? 5;
+
+// Max spot move (%) since quote issue before a quote is rejected
+const QUOTE_TOLERANCE_PCT = envNumber("QUOTE_TOLERANCE_PCT") ?? 0.5;
+
+// Draft order request limits per window: per logged-in customer, and per shopper IP
+const DRAFT_RATE_WINDOW_MINUTES = 10;
+const DRAFT_RATE_LIMIT_PER_CUSTOMER = 5;
+const DRAFT_RATE_LIMIT_PER_IP = 20;
+
+// Unpaid draft orders a logged-in customer may hold at once
+const MAX_OPEN_DRAFTS_PER_CUSTOMER = 3;
+
+// Max distinct lines per cart
+const MAX_CART_LINES = 20;
+
+// Customer tag lookup for pricing tiers (ms); pricing waits on it, so no retries
+const CUSTOMER_TAGS_TIMEOUT_MS = 3 * 1000;
+
+// Shopify inventory sync frequency (minutes, INVENTORY_SOURCE=shopify)
+const INVENTORY_SYNC_MINUTES = 5;
+
+// Spot circuit breaker: pricing for a metal is degraded (checkout blocked) after
+// this many consecutive failed spot fetches...
+const BREAKER_MAX_FAILURES = Number(process.env.BREAKER_MAX_FAILURES) || 3;
+
+// ...or once its last good spot is this many refresh intervals (varF) old
+const BREAKER_STALE_INTERVALS = Number(process.env.BREAKER_STALE_INTERVALS) || 3;
+
+// Apply the quantity discount at the combined cart quantity (false = per line)
+const CART_COMBINED_DISCOUNT = process.env.CART_COMBINED_DISCOUNT !== "false";
+
 /* -----------------------------
    ENVIRONMENT
 -------------------------------- */
 
-const API_KEY = process.env.PUBLISHER_API_KEY;
+// Market data providers in priority order (see providers/index.js)
+const MARKET_PROVIDERS = (process.env.MARKET_PROVIDERS || "metalsdev")
+  .split(",")
+  .map((p) => p.trim().toLowerCase())
+  .filter(Boolean);
 const SHOPIFY_APP_SECRET = process.env.SHOPIFY_APP_SECRET;
+// Stock source: "local" (set from /admin) | "shopify" (see inventory.js)
+const INVENTORY_SOURCE = (process.env.INVENTORY_SOURCE || "local").trim().toLowerCase();
+const SHOPIFY_SCOPES = process.env.SHOPIFY_SCOPES || (
+  INVENTORY_SOURCE === "shopify"
+    ? "write_draft_orders,read_orders,read_customers,read_products,write_inventory"
+    : "write_draft_orders,read_orders,read_customers"
+);
+const ADMIN_USERS = parseAdminUsers(process.env.ADMIN_USERS);
+// Price alert delivery: "webhook" | "smtp", unset = alerts disabled (see alerts/)
+const ALERT_SENDER = (process.env.ALERT_SENDER || "").trim().toLowerCase();
+// Bearer token required by /metrics, unset = open
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 const PORT = process.env.PORT || 3000;
 
-if (!API_KEY) {
-  console.error("Missing PUBLISHER_API_KEY");
+let marketData;
+try {
+  marketData = createMarketData(createProviders(MARKET_PROVIDERS));
+} catch (err) {
+  log.error("Invalid MARKET_PROVIDERS", { err });
   process.exit(1);
 }
 
-/* -----------------------------
-   CACHE (IN-MEMORY)
--------------------------------- */
+const charts = createChartService({ marketData, dateMinus });
 
-const cache = {
-  // Private reference closes (calendar-based)
-  varC1: null,
-  varC30: null,
-  varC365: null,
+if (INVENTORY_SOURCE === "shopify") {
+  useInventorySource(createShopifyInventorySource({
+    shop: process.env.INVENTORY_SHOP || process.env.SHOPIFY_STORE_DOMAIN,
+    tokenFor: adminTokenFor,
+    locationId: process.env.INVENTORY_LOCATION_ID || null
+  }));
+} else if (INVENTORY_SOURCE !== "local") {
+  log.error("Invalid INVENTORY_SOURCE", { source: INVENTORY_SOURCE });
+  process.exit(1);
+}
+
+// Pricing tiers by Shopify customer tag (see tiers.js)
+useTagSource(fetchCustomerTags);
+
+if (ALERT_SENDER) {
+  try {
+    useSender(createSender(ALERT_SENDER));
+  } catch (err) {
+    log.error("Invalid ALERT_SENDER", { err });
+    process.exit(1);
+  }
+}
+
+const unsupportedMetals = METALS.filter((m) => !isSupportedMetal(m));
+if (!METALS.length || unsupportedMetals.length) {
+  log.error("Invalid METALS", { unsupported: unsupportedMetals, metals: METALS });
+  process.exit(1);
+}
 
-  // Public market outputs
-  varS: null,
-  varSi: null,
+// A quote needs some lifetime to reach checkout; a 0 tolerance rejects any spot move
+if (!Number.isFinite(QUOTE_EXPIRY_MINUTES) || QUOTE_EXPIRY_MINUTES <= 0) {
+  log.error("Invalid QUOTE_EXPIRY_MINUTES", { value: process.env.QUOTE_EXPIRY_MINUTES });
+  process.exit(1);
+}
+if (!Number.isFinite(QUOTE_TOLERANCE_PCT) || QUOTE_TOLERANCE_PCT < 0) {
+  log.error("Invalid QUOTE_TOLERANCE_PCT", { value: process.env.QUOTE_TOLERANCE_PCT });
+  process.exit(1);
+}
 
-  varCd: null,
-  varCdp: null,
+const untrackedMetals = getCatalogMetals().filter((m) => !METALS.includes(m));
+if (untrackedMetals.length) {
+  log.error("Catalog products priced against untracked metals", { metals: untrackedMetals });
+  process.exit(1);
+}
 
-  varCm: null,
-  varCmp: null,
+// Deploy defaults, then stored admin overrides on top
+initSettings({
+  varE,
+  varF,
+  floors: Object.fromEntries(METALS.map((m) => [m, { ...FLOOR_DEFAULTS }]))
+});
 
-  varCy: null,
-  varCyp: null,
+/* -----------------------------
+   CACHE (IN-MEMORY)
+-------------------------------- */
 
-  // Median signal
-  varSm: null,
+const cache = {
+  // Per-metal closes, spot, deltas and median signal (see createMetalCache)
+  metals: Object.fromEntries(METALS.map((m) => [m, createMetalCache()])),
 
   // Market status
   varMStatus: null,
 
+  // Scheduled status detail: { reason, nextOpen, nextClose } (see marketStatus.js)
+  schedule: null,
+
+  // FX rates per USD: { rates: { [code]: rate }, at, provider, fetchedAt } (see fetchFx)
+  fx: null,
+
   // Last update timestamp
   updatedAt: null,
 
@@ -86,17 +301,104 @@ const cache = {
   ready: false
 };
 
+/* -----------------------------
+   PERSISTENCE
+-------------------------------- */
+
+// Restore last known state so requests are served while the first refresh runs
+const restoredAt = storage.loadState(cache);
+
+// Keep exactly the configured metals, whatever the snapshot held
+cache.metals = Object.fromEntries(
+  METALS.map((m) => [m, { ...createMetalCache(), ...cache.metals?.[m] }])
+);
+
+if (restoredAt && Number.isFinite(cache.metals[REFERENCE_METAL].varS)) {
+  cache.ready = true;
+  log.info("Restored cached market state", { savedAt: restoredAt });
+}
+
+// Record every market status transition and push it to stream clients
+onStatusChange((transition) => {
+  storage.recordStatus(transition);
+  stream.publish("status", transition);
+  stream.publish("pricing-invalidated", { reason: "status", varMStatus: transition.to });
+});
+
+// A closed draft's stock is sold (completed) or back on sale (expired / deleted)
+onDraftClosed((draft) => {
+  if (draft.status === DRAFT_COMPLETED) {
+    // The draft's lines stand in when its reservation was released at expiry
+    commitReservation(draft.quoteRef, draft.lines)
+      .catch((err) => log.error("Inventory commit failed", { draftId: draft.draftId, err }));
+  } else {
+    releaseReservation(draft.quoteRef);
+  }
+});
+
+/* -----------------------------
+   RUNTIME SETTINGS
+-------------------------------- */
+
+/**
+ * Spot floor for one metal from stored closes (see floor.js)
+ * config / window default to the live settings; the admin preview passes candidates
+ */
+function floorFor(metal, config = getSettings().floors[metal], window = getSettings().varE) {
+  const trading = dedupeConsecutive(
+    storage.getCloseHistory(metal, { from: dateMinus(FLOOR_LOOKBACK_DAYS), to: dateMinus(1) }),
+    (c) => c.value
+  );
+  return computeFloor(trading, config, { window });
+}
+
+// Recompute every metal's varSm (floors follow the settings, not the restored snapshot)
+function refreshFloors() {
+  for (const metal of METALS) {
+    const m = cache.metals[metal];
+    m.floor = floorFor(metal);
+    m.varSm = m.floor.varSm;
+  }
+}
+
+refreshFloors();
+
+// Admin changes take effect immediately; shown prices are stale
+onSettingsChange((settings, changes) => {
+  log.info("Settings changed", { fields: changes.map((c) => c.field) });
+
+  refreshFloors();
+  if (changes.some((c) => c.field === "varF")) scheduleSpotRefresh();
+
+  stream.publish("pricing-invalidated", { reason: "settings" });
+});
+
 /* -----------------------------
    HELPERS
 -------------------------------- */
 
-/* Rounding */
+/* Numeric env value: null when unset, NaN when not a number */
+function envNumber(name) {
+  const raw = process.env[name];
+  return raw === undefined || raw.trim() === "" ? null : Number(raw);
+}
+
+/* Async route handler: an unexpected error answers 500 instead of rejecting */
+function asyncRoute(name, handler) {
+  return (req, res) => handler(req, res).catch((err) => {
+    log.error("Route error", { route: name, err });
+    if (!res.headersSent) res.status(500).json({ error: "server error" });
+  });
+}
+
+/* Rounding: exact decimals, half-up (see money.js) */
 function round2(v) {
-  return Number.isFinite(v) ? Number(v.toFixed(2)) : null;
+  return Number.isFinite(v) ? money.round(v, 2, money.ROUND_HALF_UP) : null;
 }
 
-function round1(v) {
-  return Number.isFinite(v) ? Number(v.toFixed(1)) : null;
+/* Delta percentage of a base close, 1 decimal half-up */
+function deltaPct(delta, base) {
+  return money.percent(delta, base, 1, money.ROUND_HALF_UP);
 }
 
 /* Date formatting */
@@ -113,125 +415,156 @@ function dateMinus(days) {
   return easternTime.toISOString().slice(0, 10);  // Returns date in "YYYY-MM-DD" format
 }
 
-/* Median calculation for deduplicated signal */
-function median(arr) {
-  const a = arr.slice().sort((x, y) => x - y);
-  const n = a.length;
-  return n % 2 ? a[(n - 1) / 2] : Math.max(a[n / 2 - 1], a[n / 2]);
-}
-
-/* Remove consecutive duplicates */
-function dedupeConsecutive(arr) {
-  return arr.filter((v, i) => i === 0 || v !== arr[i - 1]);
-}
+/* Takes newly polled varC* variables and varS to calculate one metal's deltas */
+function calculateDeltas(metal) {
+  const m = cache.metals[metal];
 
-/* Takes newly polled varC* variables and varS to calculate market deltas */
-function calculateDeltas() {
-  if (!Number.isFinite(cache.varS)) {
-    console.log("Delta skipped: missing varS");
+  if (!Number.isFinite(m.varS)) {
+    log.warn("Delta skipped", { metal, missing: "varS" });
     return; // nothing can compute without spot
   }
 
-  if (Number.isFinite(cache.varC1)) {
-    cache.varCd  = round2(cache.varS - cache.varC1);
-    cache.varCdp = round1((cache.varCd / cache.varC1) * 100);
+  if (Number.isFinite(m.varC1)) {
+    m.varCd  = round2(money.subtract(m.varS, m.varC1));
+    m.varCdp = deltaPct(m.varCd, m.varC1);
   } else {
-    console.log("Delta (1D) skipped: missing varC1");
+    log.warn("Delta skipped", { metal, delta: "1D", missing: "varC1" });
   }
 
-  if (Number.isFinite(cache.varC30)) {
-    cache.varCm  = round2(cache.varS - cache.varC30);
-    cache.varCmp = round1((cache.varCm / cache.varC30) * 100);
+  if (Number.isFinite(m.varC30)) {
+    m.varCm  = round2(money.subtract(m.varS, m.varC30));
+    m.varCmp = deltaPct(m.varCm, m.varC30);
   } else {
-    console.log("Delta (30D) skipped: missing varC30");
+    log.warn("Delta skipped", { metal, delta: "30D", missing: "varC30" });
   }
 
-  if (Number.isFinite(cache.varC365)) {
-    cache.varCy  = round2(cache.varS - cache.varC365);
-    cache.varCyp = round1((cache.varCy / cache.varC365) * 100);
+  if (Number.isFinite(m.varC365)) {
+    m.varCy  = round2(money.subtract(m.varS, m.varC365));
+    m.varCyp = deltaPct(m.varCy, m.varC365);
   } else {
-    console.log("Delta (365D) skipped: missing varC365");
+    log.warn("Delta skipped", { metal, delta: "365D", missing: "varC365" });
   }
 }
 
+/* -----------------------------
+   SHOPIFY OAUTH (APP INSTALL)
+-------------------------------- */
+
+// Base URL of this backend, for the OAuth redirect
+function appUrl(req) {
+  return (process.env.APP_URL || `${req.protocol}://${req.get("host")}`)
+    .replace(/\/+$/, "");
+}
+
 app.get("/auth", (req, res) => {
-  const shop = req.query.shop;
-  if (!shop) {
-    return res.status(400).send("Missing shop");
+  const shop = String(req.query.shop || "").toLowerCase();
+  if (!isValidShopDomain(shop)) {
+    return res.status(400).send("Invalid shop");
   }
 
-  const scopes = "write_draft_orders";
-
   // IMPORTANT: redirect must point back to THIS backend, not the store
-  const redirectUri =
-    "https://barterhex-proxy-backend.onrender.com/auth/callback";
+  const redirectUri = `${appUrl(req)}/auth/callback`;
+  const state = createInstallState(shop);
 
   const installUrl =
     `https://${shop}/admin/oauth/authorize` +
     `?client_id=${process.env.SHOPIFY_API_KEY}` +
-    `&scope=${scopes}` +
-    `&redirect_uri=${encodeURIComponent(redirectUri)}`;
+    `&scope=${encodeURIComponent(SHOPIFY_SCOPES)}` +
+    `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+    `&state=${state}`;
 
   res.redirect(installUrl);
 });
 
 app.get("/auth/callback", async (req, res) => {
-  const { shop, code } = req.query;
+  const { shop, code, state } = req.query;
 
-  if (!shop || !code) {
+  if (!isValidShopDomain(shop) || !code || !state) {
     return res.status(400).send("Invalid OAuth callback");
   }
 
-  const tokenRes = await fetch(
-    `https://${shop}/admin/oauth/access_token`,
-    {
+  if (!verifyOAuthHmac(req.query, SHOPIFY_APP_SECRET)) {
+    return res.status(403).send("Invalid OAuth signature");
+  }
+
+  if (!consumeInstallState(state, shop)) {
+    return res.status(403).send("Invalid or expired OAuth state");
+  }
+
+  try {
+    // The code is single-use: a failed exchange is not retried
+    const { data } = await request(`https://${shop}/admin/oauth/access_token`, {
+      service: "shopify-oauth",
       method: "POST",
       headers: {
         "Content-Type": "application/json"
       },
       body: JSON.stringify({
         client_id: process.env.SHOPIFY_API_KEY,
-        client_secret: process.env.SHOPIFY_APP_SECRET,
+        client_secret: SHOPIFY_APP_SECRET,
         code
-      })
-    }
-  );
-
-  const data = await tokenRes.json();
+      }),
+      retries: 0,
+      validate: shape({ access_token: "string" })
+    });
 
-  if (!data.access_token) {
-    return res.status(500).send("Token exchange failed");
-  }
+    saveToken(shop, { accessToken: data.access_token, scope: data.scope });
+    await registerWebhooks(shop, data.access_token, `${appUrl(req)}/webhooks`);
 
-  console.log("OAuth successful. Set SHOPIFY_ADMIN_TOKEN in Render to:", data.access_token);
-  res.send("App installed successfully. You may close this window.");
+    log.info("OAuth successful, stored access token", { shop });
+    res.send("App installed successfully. You may close this window.");
 
+  } catch (err) {
+    log.error("OAuth token exchange error", { shop, err });
+    res.status(500).send("Token exchange failed");
+  }
 });
 
+/**
+ * Closes for every tracked metal, walking back day by day until each has one
+ * Returns { [metal]: { value, provider } | null }
+ */
 async function fetchCloseWithFallback(daysAgo, maxLookback = 10) {
+  const found = Object.fromEntries(METALS.map((m) => [m, null]));
+
   for (let i = 0; i <= maxLookback; i++) {
-    const v = await fetchCloseForDate(dateMinus(daysAgo + i));
-    if (Number.isFinite(v)) {
+    const closes = await fetchCloseForDate(dateMinus(daysAgo + i));
+    if (!closes) continue;
+
+    for (const metal of METALS) {
+      if (found[metal] !== null || !Number.isFinite(closes.value[metal])) continue;
+
+      found[metal] = { value: closes.value[metal], provider: closes.provider };
       if (i > 0) {
-        console.log(
-          `Fallback used for varC${daysAgo}: ${i} day(s) back`
-        );
+        log.info("Close fallback used", { metal, close: `varC${daysAgo}`, daysBack: i });
       }
-      return v;
     }
+
+    if (METALS.every((m) => found[m] !== null)) return found;
   }
 
-  console.log(
-    `Fallback failed for varC${daysAgo}: no valid close within ${maxLookback} days`
-  );
-  return null;
+  for (const metal of METALS.filter((m) => found[m] === null)) {
+    log.warn("Close fallback failed", { metal, close: `varC${daysAgo}`, maxLookback });
+  }
+  return found;
 }
 
 function updateChartData() {
-  calculateDeltas();
+  METALS.forEach(calculateDeltas);
   cache.updatedAt = new Date(
     new Date().toLocaleString("en-US", { timeZone: "America/New_York" })
   ).toISOString();
+  storage.saveState(cache);
+  publishMarket();
+
+  // Price alerts see the refreshed spot and deltas
+  if (cache.ready) {
+    for (const metal of METALS) {
+      evaluateAlerts(metal, cache.metals[metal])
+        .then((sent) => sent && log.info("Sent price alerts", { metal, sent }))
+        .catch((err) => log.error("Alert evaluation failed", { metal, err }));
+    }
+  }
 }
 
 /* -----------------------------
@@ -241,7 +574,7 @@ function updateChartData() {
 // Function to verify the proxy signature for Shopify requests
 function verifyProxy(req) {
   const { signature, ...params } = req.query;
-  if (!signature) return false;
+  if (!signature || typeof signature !== "string") return false;
 
   const message = Object.keys(params)
     .sort()
@@ -253,10 +586,52 @@ function verifyProxy(req) {
     .update(message)
     .digest("hex");
 
-  return crypto.timingSafeEqual(
-    Buffer.from(digest),
-    Buffer.from(signature)
-  );
+  const expected = Buffer.from(digest);
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/* -----------------------------
+   SPOT CIRCUIT BREAKER
+-------------------------------- */
+
+// Stops quoting a metal whose spot stopped updating (see spotBreaker.js)
+const spotBreaker = createSpotBreaker({
+  maxFailures: BREAKER_MAX_FAILURES,
+  maxAgeMs: () => BREAKER_STALE_INTERVALS * getSettings().varF * 60 * 1000
+});
+
+// A restored spot stays quotable until it is as old as a live one may get
+for (const metal of METALS) {
+  spotBreaker.restore(metal, cache.metals[metal].spotAt);
+}
+
+spotBreaker.onChange((metal, status) => {
+  if (status.state === PRICING_DEGRADED) {
+    log.warn("Pricing degraded", { metal, reason: status.reason, lastSuccessAt: status.lastSuccessAt });
+  } else {
+    log.info("Pricing available", { metal });
+  }
+
+  stream.publish("pricing-invalidated", { reason: "breaker", metal, pricing: status.state }, { metal });
+});
+
+/* First metal whose pricing is degraded, with its breaker status, or null */
+function degradedPricing(metals) {
+  for (const metal of new Set(metals)) {
+    const status = spotBreaker.status(metal);
+    if (status.state === PRICING_DEGRADED) return { metal, ...status };
+  }
+  return null;
+}
+
+function rejectDegraded(res, degraded) {
+  return res.status(503).json({
+    error: "pricing degraded",
+    reason: degraded.reason,
+    metal: degraded.metal,
+    lastSuccessAt: degraded.lastSuccessAt
+  });
 }
 
 /* -----------------------------
@@ -265,55 +640,75 @@ function verifyProxy(req) {
 
 /**
  * Fetch single calendar close for a specific date
- * This retrieves the silver close price for a given date from the API
+ * This retrieves every tracked metal's close for a given date
+ * Returns { value: { [metal]: close | null }, provider } or null
  */
 async function fetchCloseForDate(date) {
-  const url = new URL("https://api.metals.dev/v1/timeseries");
-  url.searchParams.set("api_key", API_KEY);
-  url.searchParams.set("start_date", date);
-  url.searchParams.set("end_date", date);
+  const closes = await marketData.getCloses(date, METALS);
+  if (!closes) return null;
 
-  const res = await fetch(url);
-  const data = await res.json();
-
-  // Log the raw response data for debugging
-  //console.log("fetchCloseForDate API Response: ", data);
+  for (const metal of METALS) {
+    const v = closes.value[metal];
+    if (v !== null) storage.recordCloses(metal, { [date]: v });
+  }
 
-  const day = Object.values(data?.rates || {})[0];
-  const v = Number(day?.metals?.silver);
-  return Number.isFinite(v) ? v : null;
+  return closes;
 }
 
-
-
 /**
  * Fetch varE-day timeseries
  * - Populate calendar-based closes (ordered)
  * - Deduplicate array into vald closes (trading)
- * - Compute deduplicated median signal (varSm)
+ * - Recompute the spot floor (varSm) from the stored trading closes
  */
 async function fetchTimeseries() {
-  console.log(
-    "Max days worth of deduplicated data requested by varE:",
-    varE
-  );
-   
-  const url = new URL("https://api.metals.dev/v1/timeseries");
-  url.searchParams.set("api_key", API_KEY);
-  url.searchParams.set("start_date", dateMinus(30));
-  url.searchParams.set("end_date", dateMinus(1)); 
+  log.info("Fetching timeseries", { varE: getSettings().varE });
+
+  const series = await marketData.getTimeseries(dateMinus(30), dateMinus(1), METALS);
+
+  if (series) {
+    for (const metal of METALS) {
+      updateMetalCloses(metal, series.value, series.provider);
+    }
+  }
+  refreshFloors();
+
+  // Longer horizons with fallback (Without using median-calculating array defined by varE)
+  const closes30  = await fetchCloseWithFallback(30);   // Fetch data for 30 days ago or further if null is returned.
+  const closes365 = await fetchCloseWithFallback(365);  // Fetch data for 365 days ago or further if null is returned.
+
+  for (const metal of METALS) {
+    const m = cache.metals[metal];
+    m.varC30  = closes30[metal]?.value ?? null;
+    m.varC365 = closes365[metal]?.value ?? null;
+    m.sources.varC30  = closes30[metal]?.provider ?? null;
+    m.sources.varC365 = closes365[metal]?.provider ?? null;
+
+    log.info("Fetched historics", { metal, varC1: m.varC1, varC30: m.varC30, varC365: m.varC365 });
+
+    // Trigger delta calculation after fetching all historic close values
+    calculateDeltas(metal);
+  }
+
+  cache.ready = true;
 
-  const res = await fetch(url);
-  const data = await res.json();
+}
 
-  const rates = data?.rates || {};
+/**
+ * Per-metal part of fetchTimeseries
+ * - Deduplicate calendar closes into trading closes
+ * - Pick varC1
+ */
+function updateMetalCloses(metal, series, provider) {
+  const m = cache.metals[metal];
   const closesByDate = {};
-   
-  for (const [date, obj] of Object.entries(rates)) {
-    const v = Number(obj?.metals?.silver);
-    if (Number.isFinite(v)) closesByDate[date] = v;
+
+  for (const [date, day] of Object.entries(series)) {
+    if (day[metal] !== undefined) closesByDate[date] = day[metal];
   }
 
+  storage.recordCloses(metal, closesByDate);
+
   // Pre-deduplication: This array will include all the fetched close values.
   const ordered = Object.keys(closesByDate)
     .sort()
@@ -322,82 +717,102 @@ async function fetchTimeseries() {
       value: closesByDate[date]
     }));
 
-  const trading = ordered.filter(
-    (v, i, arr) => i === 0 || v.value !== arr[i - 1].value
-  );
+  const trading = dedupeConsecutive(ordered, (v) => v.value);
 
-  console.log(
-    "Days worth of data deduplicated from last 30 days:",
-    trading.length
-  );
+  log.info("Deduplicated timeseries", { metal, tradingDays: trading.length });
 
   // Now, instead of just using the previous day's close for varC1,
   // we find the most recent close that doesn't match varS
   // AND skip Friday closes when market is closed
-  
-  let foundValidC1 = false;
 
   for (let i = trading.length - 1; i >= 0; i--) {
     const { date, value } = trading[i];
-    
+
     // If market is closed, skip Friday closes
     if (cache.varMStatus === 0) {
       const day = new Date(date + "T00:00:00Z").getUTCDay(); // 5 = Friday
       if (day === 5) continue;
     }
-    
-    if (value !== cache.varS) {
-      cache.varC1 = value;
-      foundValidC1 = true;
+
+    if (value !== m.varS) {
+      m.varC1 = value;
+      m.sources.varC1 = provider;
       break;
     }
   }
-
-  // Longer horizons with fallback (Without using median-calculating array defined by varE)
-  cache.varC30  = await fetchCloseWithFallback(30);  // Fetch data for 30 days ago or further if null is returned.
-  cache.varC365  = await fetchCloseWithFallback(365);;  // Fetch data for 365 days ago or further if null is returned.
-
-  console.log("Fetched Historics:", cache.varC1, cache.varC30, cache.varC365);
-
-  // Trigger delta calculation after fetching all historic close values
-  calculateDeltas();
-
-  // Set varSm
-  //const slice = trading
-  //  .slice(-Math.min(varE, trading.length))
-  //  .map(v => v.value);
-    
-  //cache.varSm = round2(median(slice));
-    cache.varSm = 83.51;
-  //console.log("varSm set to:", cache.varSm, "(using", slice.length, "values)");
-  cache.ready = true;
-  
 }
 
+/**
+ * Fetch live spot price for one metal
+ * This gets the current spot price the deltas are computed against
+ */
+
+async function fetchSpot(metal) {
+  const spot = await marketData.getSpot(metal);
+
+  // A fixture spot is only live when fixture is the primary provider (offline
+  // development); behind a live provider it is a hard-coded placeholder
+  if (spot?.provider === FIXTURE_PROVIDER && MARKET_PROVIDERS[0] !== FIXTURE_PROVIDER) {
+    log.warn("Fixture spot ignored, live providers failed", { metal });
+    spotBreaker.recordFailure(metal);
+    return;
+  }
+
+  if (!spot || !Number.isFinite(spot.value)) {
+    spotBreaker.recordFailure(metal);
+    return;
+  }
+
+  const S = spot.value;
+  const m = cache.metals[metal];
+  const prevS = m.varS;
+  m.varS  = round2(S);
+  m.varSi = money.multiply([S, varH], 2, money.ROUND_HALF_UP);
+  m.sources.varS = spot.provider;
+  m.spotAt = new Date().toISOString();
+  spotBreaker.recordSuccess(metal);
+  log.info("Fetched spot", { metal, provider: spot.provider, S, varS: m.varS, varSi: m.varSi });
+  storage.recordSpot({ metal, varS: m.varS, varSi: m.varSi, provider: spot.provider });
+
+  // Prices (and quotes) shown for this metal are now stale
+  if (prevS !== m.varS) {
+    stream.publish("pricing-invalidated", { reason: "spot", metal, varS: m.varS }, { metal });
+  }
+}
 
+/* FX rates for the presentment currencies, kept on failure until FX_MAX_AGE_HOURS */
+async function fetchFx() {
+  const currencies = CURRENCIES.filter((c) => c !== BASE_CURRENCY);
+  if (!currencies.length) return;
+
+  const fx = await marketData.getFxRates(currencies);
+  if (!fx) return;
+
+  cache.fx = {
+    rates: fx.value.rates,
+    at: fx.value.at,
+    provider: fx.provider,
+    fetchedAt: new Date().toISOString()
+  };
+  log.info("Fetched FX rates", { provider: fx.provider, rates: fx.value.rates });
+}
 
 /**
- * Fetch live spot price and compute deltas
- * This gets the current silver spot price and computes changes relative to the cached reference closes
+ * Refresh every tracked metal's spot, then market status
+ * Status (and surprise freeze detection) follows REFERENCE_METAL
  */
+async function fetchSpots() {
+  for (const metal of METALS) {
+    await fetchSpot(metal);
+  }
+  await fetchFx();
+
+  // Manual floors may have expired since the last refresh
+  refreshFloors();
 
-async function fetchSpot() {
-  const url = new URL("https://api.metals.dev/v1/metal/spot");
-  url.searchParams.set("api_key", API_KEY);
-  url.searchParams.set("metal", "silver");
-  url.searchParams.set("currency", "USD");
-   
-  const res = await fetch(url);
-  const S = Number((await res.json())?.rate?.price);
-   
-  if (!Number.isFinite(S)) return;
-   
-  cache.varS  = round2(S);
-  cache.varSi = round2(S * varH);
-  console.log("Fetched current spots (S,varS,varSi):", S, cache.varS, cache.varSi);
-  
-  updateMarketStatus(cache, cache.varS, fetchSpot);
-  console.log('Market status is: ', cache.varMStatus);
+  const market = cache.metals[REFERENCE_METAL];
+  updateMarketStatus(cache, market, market.varS, () => fetchSpot(REFERENCE_METAL));
+  log.info("Market status", { varMStatus: cache.varMStatus });
 }
 
 /* -----------------------------
@@ -406,7 +821,7 @@ async function fetchSpot() {
 
 // Run immediately on deploy to fetch initial market data
 (async () => {
-  await fetchSpot();
+  await fetchSpots();
   await fetchTimeseries();
   updateChartData();
 })();
@@ -414,198 +829,1248 @@ async function fetchSpot() {
 // Run daily at 6:10 Eastern Time to refresh timeseries data
 cron.schedule("10 6 * * *", fetchTimeseries, { timezone: "America/New_York" });
 
-// Refresh spot price every varF minutes
-setInterval(async () => {
-  await fetchSpot();
-  updateChartData();
-}, varF * 60 * 1000);
+// Close drafts past their expiry, and archive long-closed ones, every minute
+setInterval(() => {
+  expireStaleDrafts();
+  archiveClosedDrafts();
+}, 60 * 1000);
+
+// Pull stock levels from the inventory source (no-op for local stock)
+function refreshInventory() {
+  syncInventory()
+    .then((skus) => skus.length && log.info("Inventory synced", { skus }))
+    .catch((err) => log.error("Inventory sync failed", { err }));
+}
+
+refreshInventory();
+setInterval(refreshInventory, INVENTORY_SYNC_MINUTES * 60 * 1000);
+
+// Refresh spot price every varF minutes (rescheduled when varF changes)
+let spotTimer = null;
+
+function scheduleSpotRefresh() {
+  clearInterval(spotTimer);
+  spotTimer = setInterval(async () => {
+    await fetchSpots();
+    updateChartData();
+  }, getSettings().varF * 60 * 1000);
+}
+
+scheduleSpotRefresh();
+
+/* -----------------------------
+   TRADING RULES
+-------------------------------- */
+
+/* Trading policy for the current market status (see tradingRules.js) */
+function currentTradingPolicy() {
+  return evaluateTradingRules(cache.varMStatus);
+}
+
+function rejectTrading(res, policy) {
+  return res.status(409).json({
+    error: "trading unavailable",
+    reason: policy.reason,
+    varMStatus: cache.varMStatus
+  });
+}
+
+function quoteExpiryMinutes(policy) {
+  return Math.min(QUOTE_EXPIRY_MINUTES, policy.quoteExpiryMinutes ?? Infinity);
+}
+
+function draftExpiryMinutes(policy) {
+  return Math.min(DRAFT_EXPIRY_MINUTES, policy.draftExpiryMinutes ?? Infinity);
+}
 
 /* -----------------------------
    SHOPIFY APP PROXY ENDPOINT
 -------------------------------- */
 
-// Proxy endpoint to expose market data for frontend
-app.get("/proxy/market", (req, res) => {
-  // Disable all caching (browser + Shopify CDN)
-  res.setHeader(
-    "Cache-Control",
-    "no-store, no-cache, must-revalidate, proxy-revalidate"
-  );
-  res.setHeader("Pragma", "no-cache");
-  res.setHeader("Expires", "0");
+// UI-safe market payload for one metal
+function marketPayload(metal) {
+  const m = cache.metals[metal];
 
-  if (!verifyProxy(req)) {
-    return res.status(403).json({ error: "invalid proxy signature" });
-  }
+  return {
+    metal,
 
-  // UI-safe market payload
-  res.json({
-    varS: cache.varS,
-    varSi: cache.varSi,
+    varS: m.varS,
+    varSi: m.varSi,
 
-    varCd: cache.varCd,
-    varCdp: cache.varCdp,
+    varCd: m.varCd,
+    varCdp: m.varCdp,
 
-    varCm: cache.varCm,
-    varCmp: cache.varCmp,
+    varCm: m.varCm,
+    varCmp: m.varCmp,
 
-    varCy: cache.varCy,
-    varCyp: cache.varCyp,
+    varCy: m.varCy,
+    varCyp: m.varCyp,
 
-    varSm: cache.varSm,
+    varSm: m.varSm,
+    // Floor strategy in use and the closes it was computed from
+    floor: m.floor,
+    sources: m.sources,
+    // Spot circuit breaker: "degraded" blocks pricing and checkout
+    pricing: spotBreaker.status(metal),
     varMStatus: cache.varMStatus,
+    statusReason: cache.schedule?.reason ?? null,
+    nextOpen: cache.schedule?.nextOpen ?? null,
+    nextClose: cache.schedule?.nextClose ?? null,
     updatedAt: cache.updatedAt
-  });
-});
+  };
+}
 
-// Proxy endpoint to expose pricing data based on quantity
-app.get("/proxy/pricing", (req, res) => {
-  // Disable caching
-  res.setHeader(
-    "Cache-Control",
-    "no-store, no-cache, must-revalidate, proxy-revalidate"
-  );
-  res.setHeader("Pragma", "no-cache");
-  res.setHeader("Expires", "0");
+/* -----------------------------
+   CURRENCIES
+-------------------------------- */
 
-  // Verify Shopify App Proxy
-  if (!verifyProxy(req)) {
-    return res.status(403).json({ error: "invalid proxy signature" });
-  }
+// Money fields of the market payload (percentages stay as they are)
+const MARKET_MONEY_FIELDS = ["varS", "varSi", "varCd", "varCm", "varCy", "varSm"];
 
-  // Parse + validate quantity
-  const varQ = Number(req.query.varQ);
-  if (!Number.isFinite(varQ) || varQ <= 0) {
-    return res.status(400).json({ error: "invalid quantity" });
-  }
+/* Floor detail (see floor.js) in another currency: its value and the closes behind it */
+function convertFloor(floor, rate) {
+  return {
+    ...convertFields(floor, ["varSm"], rate),
+    inputs: floor.inputs.map((c) => convertFields(c, ["value"], rate))
+  };
+}
 
-  // Optional hard cap
-  const MAX_Q = 50;
-  if (varQ > MAX_Q) {
-    return res.status(400).json({ error: "quantity too large" });
+/**
+ * Presentment currency of a proxy request (?currency=, default USD) and its rate
+ * Responds and returns null when unsupported or no usable rate is cached
+ */
+function proxyCurrency(req, res) {
+  const currency = parseCurrency(req.query.currency, CURRENCIES);
+  if (!currency) {
+    res.status(400).json({ error: "unsupported currency", currencies: CURRENCIES });
+    return null;
   }
 
-  // Ensure market data is ready
-  if (!cache.ready) {
-    return res.status(503).json({ error: "market data warming up" });
+  const fx = fxRate(cache.fx, currency, FX_MAX_AGE_HOURS * 60 * 60 * 1000);
+  if (fx.error) {
+    res.status(503).json({ error: fx.error, currency });
+    return null;
   }
+  return fx;
+}
 
-   // Compute pricing
-  const pricing = getPricing(cache, varQ);
-  if (!pricing) {
-    return res.status(503).json({ error: "pricing unavailable, varQ failure" });
-  }
+/* Rate detail returned with converted values */
+function fxSummary(fx) {
+  return { rate: fx.rate, rateAt: fx.rateAt, provider: fx.provider };
+}
 
-  // Success
-  res.json(pricing);
-});
+// Push the latest market payload for every metal to stream clients
+function publishMarket() {
+  for (const metal of METALS) {
+    stream.publish("market", marketPayload(metal), { metal });
+  }
+}
 
 /* -----------------------------
-   DRAFT ORDER (CHECKOUT NOW)
+   METRICS & HEALTH
 -------------------------------- */
 
-app.post("/proxy/draft-order", async (req, res) => {
-  // Disable caching
-  res.setHeader(
-    "Cache-Control",
-    "no-store, no-cache, must-revalidate, proxy-revalidate"
-  );
-  res.setHeader("Pragma", "no-cache");
-  res.setHeader("Expires", "0");
+const startedAt = Date.now();
 
-  // Verify Shopify App Proxy
-  if (!verifyProxy(req)) {
+// Seconds since a metal's spot was last fetched, null if never
+function spotAgeSeconds(metal) {
+  const spotAt = cache.metals[metal].spotAt;
+  return spotAt ? Math.round((Date.now() - Date.parse(spotAt)) / 1000) : null;
+}
+
+metrics.gauge("engine_spot_age_seconds", "Seconds since the spot was last fetched", () =>
+  METALS.map((metal) => ({ labels: { metal }, value: spotAgeSeconds(metal) }))
+);
+
+metrics.gauge("engine_market_status", "Market status varMStatus (0 closed, 1 open, 2 break, 3 freeze)", () =>
+  [{ labels: {}, value: cache.varMStatus }]
+);
+
+metrics.gauge("engine_pricing_degraded", "1 while the spot circuit breaker blocks pricing", () =>
+  METALS.map((metal) => ({
+    labels: { metal },
+    value: spotBreaker.status(metal).state === PRICING_DEGRADED ? 1 : 0
+  }))
+);
+
+metrics.gauge("engine_ready", "1 once market data is loaded", () =>
+  [{ labels: {}, value: cache.ready ? 1 : 0 }]
+);
+
+metrics.gauge("engine_stream_clients", "Connected market stream clients", () =>
+  [{ labels: {}, value: stream.clientCount() }]
+);
+
+metrics.gauge("engine_uptime_seconds", "Seconds since the process started", () =>
+  [{ labels: {}, value: Math.round((Date.now() - startedAt) / 1000) }]
+);
+
+// Count pricing responses once they are sent
+for (const endpoint of ["/proxy/pricing", "/proxy/cart/pricing", "/proxy/buyback"]) {
+  app.use(endpoint, (req, res, next) => {
+    res.on("finish", () => {
+      metrics.pricingRequests.inc({ endpoint, status: res.statusCode });
+    });
+    next();
+  });
+}
+
+function draftOutcome(res) {
+  const status = res.statusCode;
+  if (res.locals.draftOutcome) return res.locals.draftOutcome;
+  if (status < 300) return "created";
+  if (status === 429) return "limited";
+  if (status === 409) return "rejected";
+  if (status === 503) return "unavailable";
+  if (status < 500) return "invalid";
+  return "failed";
+}
+
+app.use("/proxy/draft-order", (req, res, next) => {
+  res.on("finish", () => {
+    metrics.draftOrders.inc({ outcome: draftOutcome(res), status: res.statusCode });
+  });
+  next();
+});
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get("Authorization") || "", `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Liveness: the process is up and serving
+app.get("/healthz", (req, res) => {
+  res.json({ ok: true });
+});
+
+// Readiness: market data loaded and the reference metal's pricing not degraded
+app.get("/readyz", (req, res) => {
+  const pricing = spotBreaker.status(REFERENCE_METAL);
+  const reasons = [];
+
+  if (!cache.ready) reasons.push("market_warming_up");
+  if (pricing.state === PRICING_DEGRADED) reasons.push(pricing.reason);
+
+  res.status(reasons.length ? 503 : 200).json({
+    ready: !reasons.length,
+    reasons,
+    metal: REFERENCE_METAL,
+    spotAgeSeconds: spotAgeSeconds(REFERENCE_METAL)
+  });
+});
+
+// Proxy endpoint to expose market data for frontend
+app.get("/proxy/market", (req, res) => {
+  // Disable all caching (browser + Shopify CDN)
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  if (!verifyProxy(req)) {
     return res.status(403).json({ error: "invalid proxy signature" });
   }
 
-  const token = process.env.SHOPIFY_ADMIN_TOKEN;
+  // Parse + validate metal
+  const metal = parseMetal(req.query.metal);
+  if (!metal || !cache.metals[metal]) {
+    return res.status(400).json({ error: "unsupported metal" });
+  }
 
-  if (!token) {
-    return res.status(401).json({ error: "admin token missing" });
+  const fx = proxyCurrency(req, res);
+  if (!fx) return;
+
+  const market = marketPayload(metal);
+  res.json({
+    ...convertFields(market, MARKET_MONEY_FIELDS, fx.rate),
+    floor: convertFloor(market.floor, fx.rate),
+    currency: fx.currency,
+    fx: fxSummary(fx)
+  });
+});
+
+// Streaming market endpoint (SSE) for the storefront ticker
+app.get("/proxy/market/stream", (req, res) => {
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
   }
 
-  // 🔑 OAuth token lookup MUST be first
-  const shop = req.query.shop || process.env.SHOPIFY_STORE_DOMAIN;
+  // Optional metal filter; no metal = every tracked metal
+  let metal = null;
+  if (req.query.metal) {
+    metal = parseMetal(req.query.metal);
+    if (!metal || !cache.metals[metal]) {
+      return res.status(400).json({ error: "unsupported metal" });
+    }
+  }
+
+  stream.subscribe(req, res, {
+    metal,
+    snapshot: () => (metal ? [metal] : METALS).map((m) => ({
+      event: "market",
+      data: marketPayload(m)
+    }))
+  });
+});
+
+// Proxy endpoint for historical chart series (OHLC points)
+app.get("/proxy/chart", async (req, res) => {
+  // Chart data changes at most daily; short private caching is safe
+  res.setHeader("Cache-Control", "private, max-age=300");
+
+  try {
+    if (!verifyProxy(req)) {
+      return res.status(403).json({ error: "invalid proxy signature" });
+    }
+
+    const metal = parseMetal(req.query.metal);
+    if (!metal || !cache.metals[metal]) {
+      return res.status(400).json({ error: "unsupported metal" });
+    }
+
+    const range = String(req.query.range || "1M").toUpperCase();
+    if (!isChartRange(range)) {
+      return res.status(400).json({ error: "invalid range", ranges: CHART_RANGES });
+    }
+
+    res.json(await charts.getChart(metal, range));
+  } catch (err) {
+    log.error("Chart error", { metal: req.query.metal, range: req.query.range, err });
+    res.status(500).json({ error: "server error" });
+  }
+});
+
+/**
+ * Product a proxy request names: explicit SKU, else first SKU for the
+ * requested metal, else the default SKU; responds and returns null on failure
+ */
+function proxyProduct(req, res) {
+  let product;
+  if (req.query.sku) {
+    product = getProduct(req.query.sku);
+  } else if (req.query.metal) {
+    const metal = parseMetal(req.query.metal);
+    if (!metal || !cache.metals[metal]) {
+      res.status(400).json({ error: "unsupported metal" });
+      return null;
+    }
+    product = getProductForMetal(metal);
+  } else {
+    product = getProduct(getDefaultSku());
+  }
+
+  if (!product) {
+    res.status(404).json({ error: "unknown product" });
+  }
+  return product;
+}
+
+// Proxy endpoint to expose pricing data based on quantity
+app.get("/proxy/pricing", asyncRoute("/proxy/pricing", async (req, res) => {
+  // Disable caching
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  // Verify Shopify App Proxy
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
+  }
+
+  const product = proxyProduct(req, res);
+  if (!product) return;
+
+  const fx = proxyCurrency(req, res);
+  if (!fx) return;
 
   // Parse + validate quantity
-  const varQ = Number(req.body?.varQ);
+  const varQ = Number(req.query.varQ);
   if (!Number.isFinite(varQ) || varQ <= 0) {
     return res.status(400).json({ error: "invalid quantity" });
   }
 
+  // Customer tier: its curve and quantity cap replace the SKU's
+  const tier = await resolveTier(proxyCustomer(req));
+  const limits = applyTier(product, tier);
+
+  // Per-SKU quantity limits
+  if (varQ < limits.minQ) {
+    return res.status(400).json({ error: "quantity too small", minQ: limits.minQ });
+  }
+  if (varQ > limits.maxQ) {
+    return res.status(400).json({ error: "quantity too large", maxQ: limits.maxQ });
+  }
+
+  // Stock on hand, less units held by open checkouts
+  const available = getAvailable(product.sku);
+  if (available !== null && varQ > available) {
+    return res.status(409).json({ error: "insufficient stock", available });
+  }
+
+  // Ensure market data is ready
+  if (!cache.ready) {
+    return res.status(503).json({ error: "market data warming up" });
+  }
+
+  // Stale spot: nothing can be quoted against it
+  const degraded = degradedPricing([product.metal]);
+  if (degraded) {
+    return rejectDegraded(res, degraded);
+  }
+
+  // Trading rules for the current market status
+  const policy = currentTradingPolicy();
+  if (!policy.allowed) {
+    return rejectTrading(res, policy);
+  }
+
+   // Compute pricing
+  const { extraPremiumPct } = policy;
+  const usdPricing = getPricing(cache, varQ, product.sku, { extraPremiumPct, tier });
+  if (!usdPricing) {
+    return res.status(503).json({ error: "pricing unavailable, varQ failure" });
+  }
+  const pricing = convertLine(usdPricing, fx.rate);
+
+  // Lock the price shown to the customer
+  const quote = issueQuote(
+    SHOPIFY_APP_SECRET,
+    {
+      lines: [pricing],
+      varTd: pricing.varTd,
+      extraPremiumPct,
+      currency: fx.currency,
+      fxRate: fx.rate,
+      tier: tier.id
+    },
+    quoteExpiryMinutes(policy)
+  );
+
+  // Success
+  res.json({
+    ...pricing,
+    currency: fx.currency,
+    fx: fxSummary(fx),
+    available,
+    tier: tierSummary(tier),
+    trading: tradingSummary(policy),
+    quote
+  });
+}));
+
+/* -----------------------------
+   CART
+-------------------------------- */
+
+/**
+ * Validate a cart body: [{ sku, quantity }]
+ * tier: customer tier whose quantity caps apply (see tiers.js)
+ * Returns { items } or { error } (per-SKU limits applied per line)
+ */
+function parseCartItems(rawItems, tier) {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    return { error: "cart is empty" };
+  }
+  if (rawItems.length > MAX_CART_LINES) {
+    return { error: "too many cart lines", maxLines: MAX_CART_LINES };
+  }
+
+  const items = [];
+  const seen = new Set();
+
+  for (const raw of rawItems) {
+    const sku = raw?.sku;
+    const product = applyTier(getProduct(sku), tier);
+    if (!product) {
+      return { error: "unknown product", sku };
+    }
+    if (seen.has(sku)) {
+      return { error: "duplicate sku", sku };
+    }
+    seen.add(sku);
+
+    const quantity = Number(raw.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return { error: "invalid quantity", sku };
+    }
+    if (quantity < product.minQ) {
+      return { error: "quantity too small", sku, minQ: product.minQ };
+    }
+    if (quantity > product.maxQ) {
+      return { error: "quantity too large", sku, maxQ: product.maxQ };
+    }
+
+    items.push({ sku, quantity });
+  }
+
+  return { items };
+}
+
+/* First line asking for more than is available: { sku, available }, else null */
+function stockShortfall(lines) {
+  for (const { sku, varQ } of lines) {
+    const available = getAvailable(sku);
+    if (available !== null && varQ > available) return { sku, available };
+  }
+  return null;
+}
+
+// Proxy endpoint to price a multi-line cart
+app.post("/proxy/cart/pricing", asyncRoute("/proxy/cart/pricing", async (req, res) => {
+  // Disable caching
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  // Verify Shopify App Proxy
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
+  }
+
+  const tier = await resolveTier(proxyCustomer(req));
+
+  const { items, error, ...details } = parseCartItems(req.body?.items, tier);
+  if (error) {
+    return res.status(400).json({ error, ...details });
+  }
+
+  const fx = proxyCurrency(req, res);
+  if (!fx) return;
+
+  const shortfall = stockShortfall(items.map((i) => ({ sku: i.sku, varQ: i.quantity })));
+  if (shortfall) {
+    return res.status(409).json({ error: "insufficient stock", ...shortfall });
+  }
+
   // Ensure market data is ready
   if (!cache.ready) {
     return res.status(503).json({ error: "market data warming up" });
   }
-   
-  // Compute fresh pricing (source of truth)
-  const pricing = getPricing(cache, varQ);
-  if (!pricing || !Number.isFinite(pricing.varTu)) {
+
+  const degraded = degradedPricing(items.map((i) => getProduct(i.sku).metal));
+  if (degraded) {
+    return rejectDegraded(res, degraded);
+  }
+
+  // Trading rules for the current market status
+  const policy = currentTradingPolicy();
+  if (!policy.allowed) {
+    return rejectTrading(res, policy);
+  }
+
+  const { extraPremiumPct } = policy;
+  const usdCart = getCartPricing(cache, items, {
+    combineQuantity: CART_COMBINED_DISCOUNT,
+    extraPremiumPct,
+    tier
+  });
+  if (!usdCart) {
     return res.status(503).json({ error: "pricing unavailable" });
   }
 
+  // Converted per line; the total is their exact sum, as in getCartPricing
+  const lines = usdCart.lines.map((line) => convertLine(line, fx.rate));
+  const cart = {
+    lines,
+    varQ: usdCart.varQ,
+    varTd: money.add(lines.map((l) => l.varTd))
+  };
+
+  // Lock the cart prices shown to the customer
+  const quote = issueQuote(
+    SHOPIFY_APP_SECRET,
+    { ...cart, extraPremiumPct, currency: fx.currency, fxRate: fx.rate, tier: tier.id },
+    quoteExpiryMinutes(policy)
+  );
+
+  res.json({
+    ...cart,
+    currency: fx.currency,
+    fx: fxSummary(fx),
+    tier: tierSummary(tier),
+    trading: tradingSummary(policy),
+    quote
+  });
+}));
+
+/* -----------------------------
+   DRAFT ORDER (CHECKOUT NOW)
+-------------------------------- */
+
+/* Installed token for a shop, else the legacy single-store env token */
+function adminTokenFor(shop) {
+  const token = getToken(shop);
+  if (token) return token;
+
+  if (shop === process.env.SHOPIFY_STORE_DOMAIN) {
+    return process.env.SHOPIFY_ADMIN_TOKEN || null;
+  }
+  return null;
+}
+
+/**
+ * Shopify customer record, restricted to fields (validated by spec, see shape())
+ * options: extra request options (timeoutMs, retries); throws when unavailable
+ */
+async function fetchCustomer(shop, customerId, spec, options = {}) {
+  const token = isValidShopDomain(shop) ? adminTokenFor(shop) : null;
+  if (!token) throw new Error(`no Admin API token for ${shop}`);
+
+  const fields = ["id", ...Object.keys(spec).map((path) => path.split(".")[1])].join(",");
+  const { data } = await request(
+    `https://${shop}/admin/api/2024-01/customers/${encodeURIComponent(customerId)}.json?fields=${fields}`,
+    {
+      service: "shopify",
+      headers: { "X-Shopify-Access-Token": token },
+      ...options,
+      validate: shape(spec)
+    }
+  );
+  return data.customer;
+}
+
+/* Tags of a customer, for tier rules (see tiers.js); throws when unavailable */
+async function fetchCustomerTags(shop, customerId) {
+  const { tags } = await fetchCustomer(shop, customerId, { "customer.tags": "string" }, {
+    timeoutMs: CUSTOMER_TAGS_TIMEOUT_MS,
+    retries: 0
+  });
+  return tags.split(",").map((t) => t.trim()).filter(Boolean);
+}
+
+function itemsMatchQuote(items, quote) {
+  if (!Array.isArray(items) || items.length !== quote.lines.length) return false;
+
+  return items.every((item) =>
+    quote.lines.some((l) => l.sku === item?.sku && l.varQ === Number(item.quantity))
+  );
+}
+
+function lineItemProperties(product) {
+  const properties = [{ name: "sku", value: product.sku }];
+  if (product.variantId) {
+    properties.push({ name: "variant_id", value: String(product.variantId) });
+  }
+  return properties;
+}
+
+/* -----------------------------
+   DRAFT ORDER PROTECTION
+-------------------------------- */
+
+const draftCustomerLimiter = createRateLimiter({
+  limit: DRAFT_RATE_LIMIT_PER_CUSTOMER,
+  windowMs: DRAFT_RATE_WINDOW_MINUTES * 60 * 1000
+});
+
+const draftIpLimiter = createRateLimiter({
+  limit: DRAFT_RATE_LIMIT_PER_IP,
+  windowMs: DRAFT_RATE_WINDOW_MINUTES * 60 * 1000
+});
+
+// Scoped idempotency keys of draft requests still talking to Shopify
+const pendingDrafts = new Set();
+
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_:-]{8,128}$/;
+
+/**
+ * Shopper address: App Proxy requests arrive through Shopify, which adds the
+ * shopper to X-Forwarded-For ahead of its own address (req.ip is Shopify's)
+ */
+function clientIp(req) {
+  const forwarded = (req.get("X-Forwarded-For") || "").split(",").map((a) => a.trim()).filter(Boolean);
+  return forwarded.length >= 2 ? forwarded[forwarded.length - 2] : req.ip;
+}
+
+/**
+ * Idempotency key of a draft request, scoped to its owner and hashed
+ * Idempotency-Key header or body.idempotencyKey; defaults to the quote,
+ * which can only become one draft anyway
+ * Returns { key } or { error }
+ */
+function draftIdempotencyKey(req, owner) {
+  const explicit = req.get("Idempotency-Key") ?? req.body.idempotencyKey;
+  if (explicit !== undefined && (typeof explicit !== "string" || !IDEMPOTENCY_KEY_RE.test(explicit))) {
+    return { error: "invalid idempotency key" };
+  }
+
+  const raw = explicit ?? `quote:${req.body.quoteId}`;
+  return { key: crypto.createHash("sha256").update(`${owner}|${raw}`).digest("hex") };
+}
+
+/* Counts the request against every applicable limit; returns the first exceeded, or null */
+function takeDraftRateLimit(shop, customer, ip) {
+  const checks = [[draftIpLimiter, ip]];
+  if (customer) checks.unshift([draftCustomerLimiter, `${shop}|${customer.customerId}`]);
+
+  for (const [limiter, key] of checks) {
+    const result = limiter.take(key);
+    if (!result.allowed) return result;
+  }
+  return null;
+}
+
+/* Response for a repeated request: the draft it already created */
+function replayDraft(res, draft) {
+  res.locals.draftOutcome = "replayed";
+  return res.json({
+    checkout_url: draft.checkoutUrl,
+    lines: draft.lines,
+    varTd: draft.varTd,
+    currency: draft.currency ?? BASE_CURRENCY,
+    expiresAt: draft.expiresAt,
+    status: draft.status,
+    replayed: true
+  });
+}
+
+app.post("/proxy/draft-order", asyncRoute("/proxy/draft-order", async (req, res) => {
+  // Disable caching
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  // Verify Shopify App Proxy
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
+  }
+
+  // 🔑 OAuth token lookup MUST be first (shop comes from the signed proxy query)
+  const shop = req.query.shop || process.env.SHOPIFY_STORE_DOMAIN;
+  const token = isValidShopDomain(shop) ? adminTokenFor(shop) : null;
+
+  if (!token) {
+    return res.status(401).json({ error: "app not installed for shop" });
+  }
+
+  // Ensure market data is ready
+  if (!cache.ready) {
+    return res.status(503).json({ error: "market data warming up" });
+  }
+
+  if (!req.body?.quoteId) {
+    return res.status(400).json({ error: "missing quoteId" });
+  }
+
+  // A repeated request (double-click, client retry) gets the draft it created
+  const customer = proxyCustomer(req);
+  const ip = clientIp(req);
+  const { key: idempotencyKey, error: keyError } = draftIdempotencyKey(
+    req,
+    customer ? `customer:${customer.customerId}` : `ip:${ip}`
+  );
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  const existing = findDraftByIdempotencyKey(shop, idempotencyKey);
+  if (existing) {
+    return replayDraft(res, existing);
+  }
+
+  if (pendingDrafts.has(idempotencyKey)) {
+    res.setHeader("Retry-After", "1");
+    return res.status(409).json({ error: "draft order already in progress" });
+  }
+
+  // Abuse limits, before anything reaches Shopify
+  const limited = takeDraftRateLimit(shop, customer, ip);
+  if (limited) {
+    res.setHeader("Retry-After", String(limited.retryAfterSeconds));
+    return res.status(429).json({
+      error: "too many draft order requests",
+      retryAfterSeconds: limited.retryAfterSeconds
+    });
+  }
+
+  if (customer && countOpenDrafts(shop, customer.customerId) >= MAX_OPEN_DRAFTS_PER_CUSTOMER) {
+    return res.status(409).json({
+      error: "too many open draft orders",
+      maxOpenDrafts: MAX_OPEN_DRAFTS_PER_CUSTOMER
+    });
+  }
+
+  pendingDrafts.add(idempotencyKey);
+  res.on("close", () => pendingDrafts.delete(idempotencyKey));
+
+  const tier = await resolveTier(customer);
+
+  // Trading rules for the current market status (checked before the quote is consumed)
+  const policy = currentTradingPolicy();
+  if (!policy.allowed) {
+    return rejectTrading(res, policy);
+  }
+
+  // Redeem the quote issued by /proxy/pricing (locked price)
+  const { quote, error } = redeemQuote(
+    SHOPIFY_APP_SECRET,
+    req.body?.quoteId,
+    (metal) => cache.metals[metal]?.varS,
+    QUOTE_TOLERANCE_PCT
+  );
+  if (error) {
+    return res.status(409).json({ error });
+  }
+
+  // Draft orders are created in the store currency: a converted price would be
+  // charged as a USD amount, so other currencies are quote-only
+  if ((quote.currency ?? BASE_CURRENCY) !== BASE_CURRENCY) {
+    releaseQuote(quote);
+    return res.status(409).json({
+      error: `checkout is only available in ${BASE_CURRENCY}`,
+      currency: quote.currency
+    });
+  }
+
+  // Spot went stale since the quote was issued: the lock can no longer be checked
+  const degraded = degradedPricing(quote.lines.map((l) => l.metal));
+  if (degraded) {
+    releaseQuote(quote);
+    return rejectDegraded(res, degraded);
+  }
+
+  // A quote priced under a lower premium than the current status requires is stale
+  if ((quote.extraPremiumPct || 0) < policy.extraPremiumPct) {
+    releaseQuote(quote);
+    return res.status(409).json({
+      error: "market status changed, quote no longer valid",
+      reason: policy.reason,
+      varMStatus: cache.varMStatus
+    });
+  }
+
+  // Tiered prices are only honoured for the tier they were quoted for
+  if ((quote.tier ?? STANDARD_TIER_ID) !== tier.id) {
+    releaseQuote(quote);
+    return res.status(409).json({
+      error: "pricing tier changed, quote no longer valid",
+      tier: tierSummary(tier)
+    });
+  }
+
+  // Optional items in the body must match the quoted cart exactly
+  if (req.body.items && !itemsMatchQuote(req.body.items, quote)) {
+    releaseQuote(quote);
+    return res.status(409).json({ error: "items do not match quote" });
+  }
+
+  // Every quoted SKU must still be sold, in the quoted quantity (tier caps apply)
+  const lineItems = [];
+  for (const line of quote.lines) {
+    const product = applyTier(getProduct(line.sku), tier);
+    if (!product || line.varQ < product.minQ || line.varQ > product.maxQ) {
+      releaseQuote(quote);
+      return res.status(409).json({ error: "product no longer available", sku: line.sku });
+    }
+
+    // Custom line item so the locked price applies;
+    // SKU / variant travel as properties for fulfilment
+    lineItems.push({
+      title: product.title,
+      quantity: line.varQ,
+      price: line.varTu,
+      properties: lineItemProperties(product)
+    });
+  }
+
   // Draft expiration timestamp
   const expiresAt = new Date(
-    Date.now() + DRAFT_EXPIRY_MINUTES * 60 * 1000
+    Date.now() + draftExpiryMinutes(policy) * 60 * 1000
   ).toISOString();
 
-  try {
-    const r = await fetch(
-      `https://${shop}/admin/api/2024-01/draft_orders.json`,
-      {
-        method: "POST",
-        headers: {
-           "Content-Type": "application/json",
-           "X-Shopify-Access-Token": token
-        },
-        body: JSON.stringify({
-          draft_order: {
-            line_items: [
-              {
-                title: "HexStack - 30xBarterHex",
-                quantity: varQ,
-                price: pricing.varTu
-              }
-            ],
-            expires_at: expiresAt,
-            use_customer_default_address: true
-          }
-        })
-      }
-    );
+  // Hold the stock until the draft completes, expires or is deleted
+  const reservation = reserveStock(quote.nonce, quote.lines, expiresAt);
+  if (reservation.error) {
+    releaseQuote(quote);
+    return res.status(409).json({
+      error: reservation.error,
+      sku: reservation.sku,
+      available: reservation.available
+    });
+  }
 
-    const data = await r.json();
+  try {
+    // POST: only retried on 429, so a slow response never creates a second draft
+    const { data } = await request(`https://${shop}/admin/api/2024-01/draft_orders.json`, {
+      service: "shopify",
+      method: "POST",
+      headers: {
+         "Content-Type": "application/json",
+         "X-Shopify-Access-Token": token
+      },
+      body: JSON.stringify({
+        draft_order: {
+          line_items: lineItems,
+          expires_at: expiresAt,
+          use_customer_default_address: true,
+          // Carried onto the order so orders/create can be matched to this draft
+          note_attributes: [{ name: QUOTE_REF_ATTRIBUTE, value: quote.nonce }]
+        }
+      }),
+      validate: (d) => shape({ "draft_order.id": "number|string" })(d) ||
+        (d.draft_order.invoice_url || d.draft_order.checkout_url ? null : "draft_order has no checkout URL")
+    });
 
     const checkoutUrl =
-      data?.draft_order?.invoice_url ||
-      data?.draft_order?.checkout_url;
+      data.draft_order.invoice_url ||
+      data.draft_order.checkout_url;
+
+    recordDraft({
+      draftId: String(data.draft_order.id),
+      shop,
+      quoteRef: quote.nonce,
+      lines: quote.lines,
+      varTd: quote.varTd,
+      expiresAt,
+      checkoutUrl,
+      currency: quote.currency ?? BASE_CURRENCY,
+      customerId: customer?.customerId ?? null,
+      idempotencyKey
+    });
+
+    res.json({
+      checkout_url: checkoutUrl,
+      lines: quote.lines,
+      varTd: quote.varTd,
+      currency: quote.currency ?? BASE_CURRENCY,
+      tier: tierSummary(tier),
+      trading: tradingSummary(policy),
+      expiresAt
+    });
 
-    if (!checkoutUrl) {
+  } catch (err) {
+    releaseQuote(quote);
+    releaseReservation(quote.nonce);
+    log.error("Draft order error", { shop, err });
+
+    // Shopify unreachable / refused / answered nonsense
+    if (err instanceof HttpError) {
       return res.status(502).json({ error: "draft order failed" });
     }
+    res.status(500).json({ error: "server error" });
+  }
+}));
 
-    res.json({ checkout_url: checkoutUrl });
+/* -----------------------------
+   BUYBACKS
+-------------------------------- */
 
-  } catch (err) {
-    console.error("Draft order error:", err);
-    res.status(500).json({ error: "server error" });
+// Buyback quote: what we pay for a SKU quantity, below the live spot
+app.get("/proxy/buyback", (req, res) => {
+  // Disable caching
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  // Verify Shopify App Proxy
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
+  }
+
+  const product = proxyProduct(req, res);
+  if (!product) return;
+
+  if (!product.buyback) {
+    return res.status(404).json({ error: "product not bought back", sku: product.sku });
+  }
+
+  // Parse + validate quantity against the buyback limits
+  const varQ = Number(req.query.varQ);
+  if (!Number.isInteger(varQ) || varQ <= 0) {
+    return res.status(400).json({ error: "invalid quantity" });
+  }
+  if (varQ < product.buyback.minQ) {
+    return res.status(400).json({ error: "quantity too small", minQ: product.buyback.minQ });
+  }
+  if (varQ > product.buyback.maxQ) {
+    return res.status(400).json({ error: "quantity too large", maxQ: product.buyback.maxQ });
+  }
+
+  // Ensure market data is ready
+  if (!cache.ready) {
+    return res.status(503).json({ error: "market data warming up" });
+  }
+
+  const degraded = degradedPricing([product.metal]);
+  if (degraded) {
+    return rejectDegraded(res, degraded);
+  }
+
+  // Same trading rules as sales: a status premium widens the discount
+  const policy = currentTradingPolicy();
+  if (!policy.allowed) {
+    return rejectTrading(res, policy);
+  }
+
+  const extraDiscountPct = policy.extraPremiumPct;
+  const pricing = getBuybackPricing(cache, varQ, product.sku, { extraDiscountPct });
+  if (!pricing) {
+    return res.status(503).json({ error: "buyback pricing unavailable" });
+  }
+
+  // Lock what we pay
+  const quote = issueQuote(
+    SHOPIFY_APP_SECRET,
+    { lines: [pricing], varTd: pricing.varTd, extraPremiumPct: extraDiscountPct, side: QUOTE_BUYBACK },
+    quoteExpiryMinutes(policy)
+  );
+
+  res.json({ ...pricing, trading: tradingSummary(policy), quote });
+});
+
+// Accept a buyback quote: recorded for staff to fulfil (see buybacks.js)
+app.post("/proxy/buyback/accept", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+
+  // Verify Shopify App Proxy
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
+  }
+
+  // Staff need to know who ships the product and whom to pay
+  const customer = proxyCustomer(req);
+  if (!customer) {
+    return res.status(401).json({ error: "customer not logged in" });
+  }
+
+  if (!req.body?.quoteId) {
+    return res.status(400).json({ error: "missing quoteId" });
+  }
+
+  const note = req.body.note ?? null;
+  if (note !== null && (typeof note !== "string" || note.length > 1000)) {
+    return res.status(400).json({ error: "note must be text up to 1000 characters" });
+  }
+
+  // Ensure market data is ready
+  if (!cache.ready) {
+    return res.status(503).json({ error: "market data warming up" });
+  }
+
+  const policy = currentTradingPolicy();
+  if (!policy.allowed) {
+    return rejectTrading(res, policy);
   }
+
+  const { quote, error } = redeemQuote(
+    SHOPIFY_APP_SECRET,
+    req.body.quoteId,
+    (metal) => cache.metals[metal]?.varS,
+    QUOTE_TOLERANCE_PCT,
+    QUOTE_BUYBACK
+  );
+  if (error) {
+    return res.status(409).json({ error });
+  }
+
+  // Spot went stale since the quote was issued: the lock can no longer be checked
+  const degraded = degradedPricing(quote.lines.map((l) => l.metal));
+  if (degraded) {
+    releaseQuote(quote);
+    return rejectDegraded(res, degraded);
+  }
+
+  // A quote discounted less than the current status requires is stale
+  if ((quote.extraPremiumPct || 0) < policy.extraPremiumPct) {
+    releaseQuote(quote);
+    return res.status(409).json({
+      error: "market status changed, quote no longer valid",
+      reason: policy.reason,
+      varMStatus: cache.varMStatus
+    });
+  }
+
+  const buyback = recordBuyback({
+    shop: customer.shop,
+    customerId: customer.customerId,
+    quoteRef: quote.nonce,
+    lines: quote.lines,
+    varTd: quote.varTd,
+    note
+  });
+
+  res.status(201).json({ buyback: publicBuyback(buyback) });
 });
 
+app.get("/proxy/buybacks", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!verifyProxy(req)) {
+    return res.status(403).json({ error: "invalid proxy signature" });
+  }
+
+  const customer = proxyCustomer(req);
+  if (!customer) {
+    return res.status(401).json({ error: "customer not logged in" });
+  }
+
+  res.json({ buybacks: listCustomerBuybacks(customer.shop, customer.customerId).map(publicBuyback) });
+});
+
+/* Storefront-safe buyback request */
+function publicBuyback(b) {
+  return {
+    id: b.id,
+    lines: b.lines,
+    varTd: b.varTd,
+    note: b.note,
+    status: b.status,
+    createdAt: b.createdAt,
+    closedAt: b.closedAt
+  };
+}
+
 /* -----------------------------
-   START SERVER
+   PRICE ALERTS
 -------------------------------- */
 
-if (!process.env.SHOPIFY_ADMIN_TOKEN) {
-  console.warn("SHOPIFY_ADMIN_TOKEN not set — checkout will fail");
+/* Signed proxy customer: { shop, customerId }, null when not logged in */
+function proxyCustomer(req) {
+  const customerId = req.query.logged_in_customer_id;
+  if (!customerId) return null;
+  return { shop: req.query.shop, customerId: String(customerId) };
 }
 
-// Start the backend server
-app.listen(PORT, () => {
-  console.log(`ENGINE backend running on port ${PORT}`);
+/* Shared checks for the alert endpoints; responds and returns null on failure */
+function alertCustomer(req, res) {
+  // Disable caching
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate"
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
+  // Verify Shopify App Proxy
+  if (!verifyProxy(req)) {
+    res.status(403).json({ error: "invalid proxy signature" });
+    return null;
+  }
+
+  if (!alertsEnabled()) {
+    res.status(503).json({ error: "alerts unavailable" });
+    return null;
+  }
+
+  const customer = proxyCustomer(req);
+  if (!customer) {
+    res.status(401).json({ error: "customer not logged in" });
+  }
+  return customer;
+}
+
+app.get("/proxy/alerts", (req, res) => {
+  const customer = alertCustomer(req, res);
+  if (!customer) return;
+
+  res.json({ alerts: listAlerts(customer) });
 });
 
+app.post("/proxy/alerts", asyncRoute("/proxy/alerts", async (req, res) => {
+  const customer = alertCustomer(req, res);
+  if (!customer) return;
 
+  const { fields, error } = parseAlert(req.body, METALS);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
+  // Alerts only go to the account's own address, never one from the request
+  let email;
+  try {
+    ({ email } = await fetchCustomer(customer.shop, customer.customerId, { "customer.email": "string|null" }));
+  } catch (err) {
+    log.error("Customer email lookup failed", { shop: customer.shop, customerId: customer.customerId, err });
+    return res.status(502).json({ error: "customer email unavailable" });
+  }
+
+  const { alert, error: limitError, ...details } =
+    createAlert({ ...customer, email }, fields, cache.metals[fields.metal]);
+  if (limitError) {
+    return res.status(409).json({ error: limitError, ...details });
+  }
 
+  res.status(201).json({ alert });
+}));
 
+app.delete("/proxy/alerts/:id", (req, res) => {
+  const customer = alertCustomer(req, res);
+  if (!customer) return;
+
+  if (!deleteAlert(customer, req.params.id)) {
+    return res.status(404).json({ error: "unknown alert" });
+  }
+  res.json({ ok: true });
+});
+
+/* -----------------------------
+   ADMIN
+-------------------------------- */
+
+app.use("/admin", createAdminRouter({
+  cache,
+  users: ADMIN_USERS,
+  secret: SHOPIFY_APP_SECRET,
+  floorFor,
+  getCloses: charts.getCloses,
+  floorLookbackDays: FLOOR_LOOKBACK_DAYS
+}));
+
+/* -----------------------------
+   SHOPIFY WEBHOOKS
+-------------------------------- */
+
+app.post("/webhooks", (req, res) => {
+  const topic = req.get("X-Shopify-Topic");
+  const shop = req.get("X-Shopify-Shop-Domain");
+
+  if (!verifyWebhookHmac(req.rawBody, req.get("X-Shopify-Hmac-Sha256"), SHOPIFY_APP_SECRET)) {
+    return res.status(401).json({ error: "invalid webhook signature" });
+  }
+
+  try {
+    if (!handleWebhook(topic, shop, req.body)) {
+      log.info("Ignored webhook topic", { topic, shop });
+    }
+  } catch (err) {
+    // Non-2xx makes Shopify retry the delivery
+    log.error("Webhook handler error", { topic, shop, err });
+    return res.status(500).json({ error: "webhook handler failed" });
+  }
+
+  res.status(200).json({ ok: true });
+});
+
+/* -----------------------------
+   START SERVER
+-------------------------------- */
+
+if (!listShops().length && !process.env.SHOPIFY_ADMIN_TOKEN) {
+  log.warn("No installed shops and SHOPIFY_ADMIN_TOKEN not set — checkout will fail");
+}
+
+if (!ADMIN_USERS.size) {
+  log.warn("ADMIN_USERS not set — /admin is disabled");
+}
+
+// Start the backend server
+app.listen(PORT, () => {
+  log.info("ENGINE backend running", { port: PORT });
+});
@@ -0,0 +1,194 @@
+/**
+ * RUNTIME SETTINGS
+ *
+ * Pricing parameters admins can change without a redeploy (see admin.js):
+ * - varE       previous trading days used for the median signal (1-20)
+ * - varF       spot refresh interval (minutes)
+ * - floors     per-metal spot floor strategy for varSm (see floor.js)
+ * - products   per-SKU varG and premium curve (see catalog.js)
+ *
+ * Deploy defaults come from server.js and the catalog. Admin changes are
+ * kept as overrides in the "settings" document and re-applied on boot;
+ * each change is written to the audit log with the admin who made it.
+ */
+
+const storage = require("./storage");
+const { listProducts, getProduct, checkProduct, setProductParams } = require("./catalog");
+const { checkFloorConfig } = require("./floor");
+const log = require("./logger");
+
+const DOC = "settings";
+
+const VAR_E_MAX = 20;
+const VAR_F_MAX = 60;
+
+let defaults = null; // deploy values, shape every patch must follow
+let overrides = {};  // accumulated admin patches (persisted)
+let current = null;
+
+const listeners = [];
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/* Deep merge: plain objects merge, anything else replaces */
+function merge(base, patch) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? merge(base[key], value)
+      : value;
+  }
+  return out;
+}
+
+/* Changed leaf fields as [{ field, from, to }] ("products.SKU.curve.varA") */
+function diff(before, after, prefix = "") {
+  const changes = [];
+  for (const key of Object.keys(after)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(after[key])) {
+      changes.push(...diff(before[key], after[key], field));
+    } else if (before[key] !== after[key]) {
+      changes.push({ field, from: before[key], to: after[key] });
+    }
+  }
+  return changes;
+}
+
+/* First patch field that is not a known setting, or not an object where one is expected */
+function checkShape(shape, patch, prefix = "") {
+  for (const [key, value] of Object.entries(patch)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(shape, key)) return `unknown setting "${field}"`;
+
+    if (isPlainObject(shape[key])) {
+      if (!isPlainObject(value)) return `${field} must be an object`;
+      const error = checkShape(shape[key], value, field);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+function validate(s) {
+  if (!Number.isInteger(s.varE) || s.varE < 1 || s.varE > VAR_E_MAX) {
+    return `varE must be an integer 1-${VAR_E_MAX}`;
+  }
+  if (!Number.isInteger(s.varF) || s.varF < 1 || s.varF > VAR_F_MAX) {
+    return `varF must be an integer 1-${VAR_F_MAX} (minutes)`;
+  }
+
+  for (const [metal, floor] of Object.entries(s.floors)) {
+    const error = checkFloorConfig(floor, s.varE);
+    if (error) return `floors.${metal}: ${error}`;
+  }
+
+  for (const [sku, params] of Object.entries(s.products)) {
+    const error = checkProduct(sku, { ...getProduct(sku), ...params });
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/* Candidate settings for base + patch: { settings } or { error } */
+function resolve(base, patch) {
+  if (!isPlainObject(patch)) return { error: "settings must be an object" };
+
+  const error = checkShape(defaults, patch);
+  if (error) return { error };
+
+  const settings = merge(base, patch);
+  const invalid = validate(settings);
+  return invalid ? { error: invalid } : { settings };
+}
+
+function applyProducts(settings) {
+  for (const [sku, params] of Object.entries(settings.products)) {
+    setProductParams(sku, params);
+  }
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Load stored overrides on top of the deploy defaults
+ * varE, varF: server.js defaults; floors: { [metal]: floor config } for every tracked metal
+ */
+function initSettings({ varE, varF, floors }) {
+  const products = {};
+  for (const { sku, varG, curve } of listProducts()) {
+    products[sku] = { varG, curve };
+  }
+  defaults = { varE, varF, floors: structuredClone(floors), products };
+
+  overrides = storage.readDoc(DOC)?.overrides || {};
+  const { settings, error } = resolve(defaults, overrides);
+
+  if (error) {
+    log.error("Stored settings ignored", { error });
+    overrides = {};
+    current = defaults;
+  } else {
+    current = settings;
+  }
+
+  applyProducts(current);
+  return getSettings();
+}
+
+function getSettings() {
+  return structuredClone(current);
+}
+
+/**
+ * Validate a patch against the live settings without applying it
+ * Returns { settings, changes } or { error }
+ */
+function previewSettings(patch) {
+  const { settings, error } = resolve(current, patch);
+  if (error) return { error };
+  return { settings, changes: diff(current, settings) };
+}
+
+/**
+ * Apply a patch: validate, persist, audit, notify listeners
+ * actor: admin making the change (recorded in the audit log)
+ * Returns { settings, changes } or { error }
+ */
+function updateSettings(patch, actor) {
+  const { settings, changes, error } = previewSettings(patch);
+  if (error) return { error };
+  if (changes.length === 0) return { settings: getSettings(), changes };
+
+  applyProducts(settings);
+  current = settings;
+  overrides = merge(overrides, patch);
+
+  storage.writeDoc(DOC, { updatedAt: new Date().toISOString(), overrides });
+  storage.recordAudit({ actor, changes });
+
+  for (const fn of listeners) fn(getSettings(), changes);
+  return { settings: getSettings(), changes };
+}
+
+/* Register fn(settings, changes), called after every applied change */
+function onSettingsChange(fn) {
+  listeners.push(fn);
+}
+
+module.exports = {
+  initSettings,
+  getSettings,
+  previewSettings,
+  updateSettings,
+  onSettingsChange
+};
@@ -0,0 +1,86 @@
+/**
+ * SHOPIFY OAUTH
+ *
+ * Helpers for the app install flow (/auth -> /auth/callback):
+ * - Shop domain validation
+ * - Single-use `state` nonces bound to the installing shop
+ * - Callback HMAC verification
+ *
+ * Token storage lives in tokenStore.js.
+ */
+
+const crypto = require("crypto");
+
+// How long an install may take between /auth and /auth/callback
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/* -----------------------------
+   SHOP DOMAIN
+-------------------------------- */
+
+const SHOP_DOMAIN_RE = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+function isValidShopDomain(shop) {
+  return typeof shop === "string" && SHOP_DOMAIN_RE.test(shop);
+}
+
+/* -----------------------------
+   STATE NONCE
+-------------------------------- */
+
+// nonce -> { shop, expiresAt }
+const pendingStates = new Map();
+
+function createInstallState(shop) {
+  const now = Date.now();
+  for (const [nonce, s] of pendingStates) {
+    if (s.expiresAt <= now) pendingStates.delete(nonce);
+  }
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  pendingStates.set(nonce, { shop, expiresAt: now + STATE_TTL_MS });
+  return nonce;
+}
+
+/* Valid once, for the shop it was issued to, before it expires */
+function consumeInstallState(nonce, shop) {
+  const s = pendingStates.get(nonce);
+  if (!s) return false;
+
+  pendingStates.delete(nonce);
+  return s.shop === shop && s.expiresAt > Date.now();
+}
+
+/* -----------------------------
+   CALLBACK HMAC
+-------------------------------- */
+
+/**
+ * Verify the `hmac` Shopify appends to OAuth redirects
+ * Message is every other query param, sorted, as key=value joined by "&"
+ */
+function verifyOAuthHmac(query, secret) {
+  const { hmac, signature, ...params } = query;
+  if (typeof hmac !== "string" || !secret) return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${Array.isArray(params[key]) ? params[key].join(",") : params[key]}`)
+    .join("&");
+
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(message)
+    .digest("hex");
+
+  const expected = Buffer.from(digest);
+  const given = Buffer.from(hmac);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+  isValidShopDomain,
+  createInstallState,
+  consumeInstallState,
+  verifyOAuthHmac
+};
@@ -0,0 +1,102 @@
+/**
+ * SHOPIFY INVENTORY SOURCE
+ *
+ * Stock source for inventory.js backed by the Shopify Inventory API
+ * (needs read_products and write_inventory scopes).
+ *
+ * Each catalog SKU with a variantId maps to the variant's inventory item.
+ * onHand is the item's `available` at one location: locationId if set,
+ * else the location holding the most stock. Draft orders use custom line
+ * items, which Shopify does not deduct, so sales are adjusted here.
+ */
+
+const { listProducts } = require("./catalog");
+const log = require("./logger");
+const { request, shape } = require("./httpClient");
+
+const API_VERSION = "2024-01";
+
+/**
+ * shop: store domain; tokenFor(shop): Admin API token or null
+ * locationId: Shopify location to count and adjust (optional)
+ */
+function createShopifyInventorySource({ shop, tokenFor, locationId = null }) {
+  // sku -> { inventoryItemId, locationId }
+  const items = new Map();
+
+  async function call(path, options = {}) {
+    const token = tokenFor(shop);
+    if (!token) throw new Error(`no Admin API token for ${shop}`);
+
+    const { data } = await request(`https://${shop}/admin/api/${API_VERSION}/${path}`, {
+      service: "shopify",
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": token
+      }
+    });
+    return data;
+  }
+
+  async function inventoryItemId(product) {
+    if (!items.has(product.sku)) {
+      const data = await call(`variants/${product.variantId}.json`, {
+        validate: shape({ "variant.inventory_item_id": "number" })
+      });
+      const id = data.variant.inventory_item_id;
+      items.set(product.sku, { inventoryItemId: id, locationId: null });
+    }
+    return items.get(product.sku).inventoryItemId;
+  }
+
+  return {
+    name: "shopify",
+
+    /* { [sku]: onHand } for every linked SKU that could be read */
+    async sync() {
+      const levels = {};
+
+      for (const product of listProducts()) {
+        if (!product.variantId) continue;
+
+        try {
+          const itemId = await inventoryItemId(product);
+          const data = await call(`inventory_levels.json?inventory_item_ids=${itemId}`, {
+            validate: shape({ inventory_levels: "array" })
+          });
+
+          const rows = data.inventory_levels
+            .filter((l) => !locationId || String(l.location_id) === String(locationId));
+          if (!rows.length) continue;
+
+          const level = rows.reduce((best, l) => (l.available > best.available ? l : best));
+          items.get(product.sku).locationId = level.location_id;
+          levels[product.sku] = Number(level.available) || 0;
+        } catch (err) {
+          log.error("Inventory sync failed", { sku: product.sku, err });
+        }
+      }
+
+      return levels;
+    },
+
+    /* Deduct a completed sale from the SKU's location */
+    async commit(sku, varQ) {
+      const item = items.get(sku);
+      if (!item?.locationId) throw new Error(`${sku} not synced yet`);
+
+      await call("inventory_levels/adjust.json", {
+        method: "POST",
+        expect: "none",
+        body: JSON.stringify({
+          location_id: item.locationId,
+          inventory_item_id: item.inventoryItemId,
+          available_adjustment: -varQ
+        })
+      });
+    }
+  };
+}
+
+module.exports = { createShopifyInventorySource };
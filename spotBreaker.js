@@ -0,0 +1,104 @@
+/**
+ * SPOT CIRCUIT BREAKER
+ *
+ * Guards pricing against a spot that stopped updating (provider outage,
+ * non-finite prices): without it the last varS would be quoted forever.
+ *
+ * Tracked per metal:
+ * - lastSuccessAt         last fetch that returned a usable spot
+ * - consecutiveFailures   fetches since then that did not
+ *
+ * Pricing is "degraded" (checkout blocked) while either passes its
+ * threshold, or before the first successful fetch. The next successful
+ * fetch closes the breaker again. A spot restored from the saved state
+ * counts as a success at its fetch time (see restore()), so a restart
+ * keeps serving a recent spot while the first refresh runs.
+ */
+
+const log = require("./logger");
+
+const PRICING_OK       = "ok";
+const PRICING_DEGRADED = "degraded";
+
+/**
+ * maxFailures: consecutive failed fetches that trip the breaker
+ * maxAgeMs(): spot age that trips it (a function: follows runtime settings)
+ */
+function createSpotBreaker({ maxFailures, maxAgeMs }) {
+  // metal -> { lastSuccessAt (ms), consecutiveFailures }
+  const metals = new Map();
+  const listeners = [];
+
+  function entry(metal) {
+    if (!metals.has(metal)) metals.set(metal, { lastSuccessAt: null, consecutiveFailures: 0 });
+    return metals.get(metal);
+  }
+
+  /* { state, reason, lastSuccessAt, consecutiveFailures } */
+  function status(metal, now = Date.now()) {
+    const e = entry(metal);
+
+    let reason = null;
+    if (e.lastSuccessAt === null) reason = "spot_unavailable";
+    else if (e.consecutiveFailures >= maxFailures) reason = "spot_failures";
+    else if (now - e.lastSuccessAt > maxAgeMs()) reason = "spot_stale";
+
+    return {
+      state: reason ? PRICING_DEGRADED : PRICING_OK,
+      reason,
+      lastSuccessAt: e.lastSuccessAt === null ? null : new Date(e.lastSuccessAt).toISOString(),
+      consecutiveFailures: e.consecutiveFailures
+    };
+  }
+
+  // Run fn, then notify listeners if the metal's state flipped
+  function transition(metal, now, fn) {
+    const before = status(metal, now).state;
+    fn(entry(metal));
+    const after = status(metal, now);
+
+    if (after.state === before) return;
+    for (const listener of listeners) {
+      try {
+        listener(metal, after);
+      } catch (err) {
+        log.error("Spot breaker listener error", { metal, err });
+      }
+    }
+  }
+
+  return {
+    status,
+
+    recordSuccess(metal, now = Date.now()) {
+      transition(metal, now, (e) => {
+        e.lastSuccessAt = now;
+        e.consecutiveFailures = 0;
+      });
+    },
+
+    /* Seed a metal with the fetch time of a restored spot (ISO); no-op once fetched */
+    restore(metal, spotAt) {
+      const at = Date.parse(spotAt);
+      const e = entry(metal);
+      if (Number.isFinite(at) && e.lastSuccessAt === null) e.lastSuccessAt = at;
+    },
+
+    recordFailure(metal, now = Date.now()) {
+      transition(metal, now, (e) => {
+        e.consecutiveFailures++;
+      });
+    },
+
+    /* fn(metal, status) on every ok <-> degraded flip seen by a fetch */
+    onChange(fn) {
+      listeners.push(fn);
+    }
+  };
+}
+
+module.exports = {
+  createSpotBreaker,
+  PRICING_OK,
+  PRICING_DEGRADED
+};
@@ -0,0 +1,270 @@
+/**
+ * PERSISTENCE
+ *
+ * Owns everything the backend keeps across restarts:
+ * - Cache snapshot (restored on boot so requests are served immediately)
+ * - Spot tick history
+ * - Historical closes (by metal and date)
+ * - Market status transitions
+ * - Admin audit log (settings changes)
+ * - Archived draft orders (closed drafts moved out of drafts.js)
+ * - Named documents for other modules (readDoc / writeDoc)
+ *
+ * Storage is pluggable. An adapter implements:
+ *   append(stream, record)   add a record to an append-only stream
+ *   read(stream)             all records of a stream, oldest first
+ *   writeDoc(name, doc)      replace a named JSON document
+ *   readDoc(name)            named JSON document, or null
+ *
+ * The default adapter is file-backed (DATA_DIR, JSON + JSON lines).
+ * Persistence failures are logged and never interrupt pricing.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const log = require("./logger");
+
+const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
+/* -----------------------------
+   ADAPTERS
+-------------------------------- */
+
+function createFileStore(dir = DEFAULT_DATA_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const streamFile = (stream) => path.join(dir, `${stream}.jsonl`);
+  const docFile = (name) => path.join(dir, `${name}.json`);
+
+  return {
+    append(stream, record) {
+      fs.appendFileSync(streamFile(stream), JSON.stringify(record) + "\n");
+    },
+
+    read(stream) {
+      const file = streamFile(stream);
+      if (!fs.existsSync(file)) return [];
+
+      return fs.readFileSync(file, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null; // torn write from a crash
+          }
+        })
+        .filter(Boolean);
+    },
+
+    writeDoc(name, doc) {
+      // Write-then-rename so a crash never leaves a half-written snapshot
+      const file = docFile(name);
+      fs.writeFileSync(file + ".tmp", JSON.stringify(doc));
+      fs.renameSync(file + ".tmp", file);
+    },
+
+    readDoc(name) {
+      const file = docFile(name);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  };
+}
+
+function createMemoryStore() {
+  const streams = new Map();
+  const docs = new Map();
+
+  return {
+    append(stream, record) {
+      if (!streams.has(stream)) streams.set(stream, []);
+      streams.get(stream).push(record);
+    },
+
+    read(stream) {
+      return (streams.get(stream) || []).slice();
+    },
+
+    writeDoc(name, doc) {
+      docs.set(name, JSON.parse(JSON.stringify(doc)));
+    },
+
+    readDoc(name) {
+      return docs.has(name) ? JSON.parse(JSON.stringify(docs.get(name))) : null;
+    }
+  };
+}
+
+/* -----------------------------
+   ACTIVE STORE
+-------------------------------- */
+
+let store = null;
+
+function useStore(adapter) {
+  store = adapter;
+}
+
+function getStore() {
+  if (!store) store = createFileStore();
+  return store;
+}
+
+// Run a storage operation, logging (not throwing) on failure
+function safely(label, fn, fallback = null) {
+  try {
+    return fn(getStore());
+  } catch (err) {
+    log.error("Storage operation failed", { operation: label, err });
+    return fallback;
+  }
+}
+
+/* Filter records by ISO `at` (or `date`) range, newest `limit` kept */
+function selectRange(records, { from, to, limit } = {}, key = "at") {
+  let out = records;
+  if (from) out = out.filter((r) => r[key] >= from);
+  if (to) out = out.filter((r) => r[key] <= to);
+  if (Number.isFinite(limit)) out = out.slice(-limit);
+  return out;
+}
+
+/* -----------------------------
+   CACHE SNAPSHOT
+-------------------------------- */
+
+// Transient fields that must not survive a restart
+const TRANSIENT_FIELDS = ["alertmode", "ready"];
+
+function saveState(cache) {
+  const snapshot = { ...cache };
+  for (const f of TRANSIENT_FIELDS) delete snapshot[f];
+
+  safely("saveState", (s) =>
+    s.writeDoc("state", { savedAt: new Date().toISOString(), cache: snapshot })
+  );
+}
+
+/**
+ * Restore last known cache values into the live cache
+ * Returns the snapshot's savedAt timestamp, or null if nothing was restored
+ */
+function loadState(cache) {
+  const doc = safely("loadState", (s) => s.readDoc("state"));
+  if (!doc?.cache) return null;
+
+  for (const [key, value] of Object.entries(doc.cache)) {
+    if (key in cache && !TRANSIENT_FIELDS.includes(key)) cache[key] = value;
+  }
+
+  return doc.savedAt || null;
+}
+
+/* -----------------------------
+   HISTORY
+-------------------------------- */
+
+function recordSpot(tick) {
+  safely("recordSpot", (s) =>
+    s.append("spot", { at: new Date().toISOString(), ...tick })
+  );
+}
+
+function recordStatus(transition) {
+  safely("recordStatus", (s) =>
+    s.append("status", { at: new Date().toISOString(), ...transition })
+  );
+}
+
+/* Admin settings change: { actor, changes: [{ field, from, to }] } */
+function recordAudit(entry) {
+  safely("recordAudit", (s) =>
+    s.append("audit", { at: new Date().toISOString(), ...entry })
+  );
+}
+
+/* Closed draft order past its retention in the live registry (see drafts.js) */
+function archiveDraft(draft) {
+  safely("archiveDraft", (s) => s.append("drafts-archive", draft));
+}
+
+/* Closes are keyed by date: a later fetch for the same date replaces it */
+function recordCloses(metal, closesByDate) {
+  safely("recordCloses", (s) => {
+    const closes = s.readDoc(`closes-${metal}`) || {};
+    s.writeDoc(`closes-${metal}`, { ...closes, ...closesByDate });
+  });
+}
+
+/* Spot ticks, optionally for one metal (range.metal) */
+function getSpotHistory(range = {}) {
+  let ticks = safely("getSpotHistory", (s) => s.read("spot"), []);
+  if (range.metal) ticks = ticks.filter((t) => t.metal === range.metal);
+  return selectRange(ticks, range);
+}
+
+function getStatusHistory(range) {
+  return selectRange(safely("getStatusHistory", (s) => s.read("status"), []), range);
+}
+
+function getAuditLog(range) {
+  return selectRange(safely("getAuditLog", (s) => s.read("audit"), []), range);
+}
+
+function getArchivedDrafts() {
+  return safely("getArchivedDrafts", (s) => s.read("drafts-archive"), []);
+}
+
+/* Closes for one metal as [{ date, value }] ordered by date */
+function getCloseHistory(metal, range) {
+  const closes =
+    safely("getCloseHistory", (s) => s.readDoc(`closes-${metal}`), null) || {};
+  const ordered = Object.keys(closes)
+    .sort()
+    .map((date) => ({ date, value: closes[date] }));
+
+  return selectRange(ordered, range, "date");
+}
+
+/* -----------------------------
+   DOCUMENTS
+-------------------------------- */
+
+/* Named JSON documents owned by other modules (e.g. tokenStore.js) */
+function readDoc(name) {
+  return safely(`readDoc(${name})`, (s) => s.readDoc(name));
+}
+
+function writeDoc(name, doc) {
+  safely(`writeDoc(${name})`, (s) => s.writeDoc(name, doc));
+}
+
+module.exports = {
+  // adapters
+  createFileStore,
+  createMemoryStore,
+  useStore,
+
+  // cache snapshot
+  saveState,
+  loadState,
+
+  // history
+  recordSpot,
+  recordStatus,
+  recordCloses,
+  recordAudit,
+  archiveDraft,
+  getSpotHistory,
+  getStatusHistory,
+  getAuditLog,
+  getArchivedDrafts,
+  getCloseHistory,
+
+  // documents
+  readDoc,
+  writeDoc
+};
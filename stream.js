@@ -0,0 +1,103 @@
+/**
+ * MARKET STREAM (Server-Sent Events)
+ *
+ * Pushes events to connected storefront tickers:
+ * - market                market payload after each refresh
+ * - status                market status transitions
+ * - pricing-invalidated   previously shown prices / quotes are stale
+ *
+ * Every event gets an increasing id; the last HISTORY_SIZE events are
+ * kept so a reconnecting client (Last-Event-ID) receives what it missed.
+ * Clients may subscribe to one metal; events without a metal go to all.
+ */
+
+const HISTORY_SIZE = 200;
+const HEARTBEAT_MS = 15 * 1000;
+const RETRY_MS = 5 * 1000;
+
+let lastEventId = 0;
+const history = [];        // [{ id, event, data, metal }]
+const clients = new Set(); // { res, metal }
+
+/* -----------------------------
+   HELPERS
+-------------------------------- */
+
+function write(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function wants(client, e) {
+  return !e.metal || !client.metal || client.metal === e.metal;
+}
+
+// Heartbeat keeps idle connections open through proxies / load balancers
+const heartbeat = setInterval(() => {
+  for (const { res } of clients) res.write(": heartbeat\n\n");
+}, HEARTBEAT_MS);
+heartbeat.unref();
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Broadcast an event
+ * metal: only clients subscribed to this metal (or to all) receive it
+ */
+function publish(event, data, { metal = null } = {}) {
+  const e = { id: ++lastEventId, event, data, metal };
+
+  history.push(e);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  for (const client of clients) {
+    if (wants(client, e)) write(client.res, e);
+  }
+}
+
+/**
+ * Attach an HTTP response as a stream client
+ * snapshot(): events sent to a client that cannot be caught up from history
+ */
+function subscribe(req, res, { metal = null, snapshot = () => [] } = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store, no-cache, must-revalidate, proxy-revalidate",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = { res, metal };
+
+  // Replay missed events if the client's last id is still in history
+  const since = Number(req.get("Last-Event-ID"));
+  const canReplay =
+    Number.isInteger(since) &&
+    since <= lastEventId &&
+    (history.length === 0 || since >= history[0].id - 1);
+
+  if (canReplay) {
+    for (const e of history) {
+      if (e.id > since && wants(client, e)) write(res, e);
+    }
+  } else {
+    for (const { event, data } of snapshot()) {
+      write(res, { id: lastEventId, event, data });
+    }
+  }
+
+  clients.add(client);
+  req.on("close", () => clients.delete(client));
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  clientCount
+};
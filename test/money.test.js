@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const money = require("../money");
+
+const { ROUND_TRUNCATE: T, ROUND_HALF_UP: UP, ROUND_HALF_EVEN: EVEN } = money;
+
+test("round: ties follow the mode", () => {
+  // toFixed gives 1.00 (1.005 is 1.00499999... as a float)
+  assert.equal(money.round(1.005, 2, UP), 1.01);
+  assert.equal(money.round(1.005, 2, EVEN), 1);
+  assert.equal(money.round(1.005, 2, T), 1);
+
+  // Banker's: ties go to the even digit, both ways
+  assert.equal(money.round(2.345, 2, EVEN), 2.34);
+  assert.equal(money.round(2.355, 2, EVEN), 2.36);
+  assert.equal(money.round(2.345, 2, UP), 2.35);
+
+  // Off the tie every mode but truncate rounds to nearest
+  assert.equal(money.round(2.3451, 2, EVEN), 2.35);
+  assert.equal(money.round(2.3449, 2, UP), 2.34);
+});
+
+test("round: negatives round away from zero on ties, truncate toward zero", () => {
+  assert.equal(money.round(-2.345, 2, UP), -2.35);
+  assert.equal(money.round(-2.345, 2, EVEN), -2.34);
+  assert.equal(money.round(-2.349, 2, T), -2.34);
+});
+
+test("round: exponent forms and non-finite input", () => {
+  assert.equal(money.round(1e-7, 8, UP), 1e-7);
+  assert.equal(money.round(1.5e21, 2, UP), 1.5e21);
+  assert.equal(money.round(NaN, 2, UP), null);
+  assert.equal(money.round(Infinity, 2, UP), null);
+  assert.throws(() => money.round(1, 2, "up"), /rounding mode/);
+});
+
+test("multiply: exact product, rounded once", () => {
+  // Math.trunc(0.29 * 100) is 28
+  assert.equal(money.multiply([0.29, 100], 2, T), 29);
+  assert.equal(money.multiply([4.35, 100], 0, T), 435);
+
+  // truncate2(114.46 * 7) was 801.21
+  assert.equal(money.multiply([114.46, 7], 2, T), 801.22);
+
+  assert.equal(money.multiply([29.35, 1.35, 3], 2, T), 118.86);
+  assert.equal(money.multiply([0.125, 1], 2, EVEN), 0.12);
+  assert.equal(money.multiply([0.125, 1], 2, UP), 0.13);
+  assert.equal(money.multiply([1, null], 2, UP), null);
+});
+
+test("add / subtract: exact", () => {
+  assert.equal(money.add([0.1, 0.2]), 0.3);
+  assert.equal(money.add([801.22, 351.96, 0.01]), 1153.19);
+  assert.equal(money.subtract(29.35, 29.1), 0.25);
+  assert.equal(money.subtract(1, 0.0000001), 0.9999999);
+});
+
+test("divide: rounded quotient, null on zero", () => {
+  assert.equal(money.divide(1, 3, 4, UP), 0.3333);
+  assert.equal(money.divide(2, 3, 4, T), 0.6666);
+  assert.equal(money.divide(2, 3, 4, UP), 0.6667);
+  assert.equal(money.divide(1, 8, 2, EVEN), 0.12);
+  assert.equal(money.divide(3, 8, 2, EVEN), 0.38);
+  assert.equal(money.divide(1, 8, 2, UP), 0.13);
+  assert.equal(money.divide(1, 0, 2, UP), null);
+});
+
+test("percent: part of whole", () => {
+  assert.equal(money.percent(0.25, 29.1, 1, UP), 0.9);
+  assert.equal(money.percent(-1.5, 30, 1, UP), -5);
+  assert.equal(money.percent(0.255, 1, 1, UP), 25.5);
+  assert.equal(money.percent(0.72, 29.4, 1, UP), 2.4);
+  assert.equal(money.percent(1, 0, 1, UP), null);
+});
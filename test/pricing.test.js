@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getPricing, getCartPricing, getBuybackPricing } = require("../pricing");
+const { convertLine } = require("../currency");
+
+// Fixtures follow config/catalog.json:
+// HEXSTACK-30  varG 3, curve varA 35 varB 15 varC 50 varD 1 varX 2.2
+//              buyback curve varA 12 varB 6 varC 50 varD 1 varX 2.2
+const SKU = "HEXSTACK-30";
+
+function market(varS, varSm = null) {
+  return { metals: { silver: { varS, varSm } } };
+}
+
+function priced(line) {
+  return line && { varTu: line.varTu, varTd: line.varTd };
+}
+
+test("getPricing: unit price truncated, total exact", () => {
+  // 29.35 * 1.35 * 3 = 118.8675
+  assert.deepEqual(priced(getPricing(market(29.35), 1, SKU)), { varTu: 118.86, varTd: 118.86 });
+
+  // truncate2(114.46 * 7) gave 801.21
+  assert.deepEqual(priced(getPricing(market(29.35), 7, SKU)), { varTu: 114.46, varTd: 801.22 });
+  assert.deepEqual(priced(getPricing(market(31.17), 3, SKU)), { varTu: 124.6, varTd: 373.8 });
+  assert.deepEqual(priced(getPricing(market(0.29), 2, SKU)), { varTu: 1.16, varTd: 2.32 });
+  assert.deepEqual(priced(getPricing(market(0.29), 7, SKU)), { varTu: 1.13, varTd: 7.91 });
+});
+
+test("getPricing: curve bounds, floor and extra premium", () => {
+  // varC and beyond: varB
+  assert.deepEqual(priced(getPricing(market(30), 50, SKU)), { varTu: 103.5, varTd: 5175 });
+  assert.deepEqual(priced(getPricing(market(30), 25, SKU)), { varTu: 107.59, varTd: 2689.75 });
+
+  // Spot below the floor prices at the floor: 30 * 1.35 * 3
+  assert.deepEqual(priced(getPricing(market(29, 30), 1, SKU)), { varTu: 121.5, varTd: 121.5 });
+
+  // 29.35 * 1.36 * 3 = 119.748
+  assert.deepEqual(
+    priced(getPricing(market(29.35), 1, SKU, { extraPremiumPct: 1 })),
+    { varTu: 119.74, varTd: 119.74 }
+  );
+});
+
+test("getPricing: tier curve", () => {
+  const tier = { products: { [SKU]: { curve: { varA: 20, varB: 8 } } } };
+  assert.deepEqual(priced(getPricing(market(29.35), 3, SKU, { tier })), { varTu: 104.73, varTd: 314.19 });
+});
+
+test("getPricing: unpriceable input", () => {
+  assert.equal(getPricing(market(29.35), 0, SKU), null);
+  assert.equal(getPricing(market(NaN), 1, SKU), null);
+  assert.equal(getPricing(market(29.35), 1, "NOPE"), null);
+});
+
+test("getCartPricing: total is the exact sum of line totals", () => {
+  const cart = getCartPricing(market(29.35), [{ sku: SKU, quantity: 7 }]);
+  assert.equal(cart.varQ, 7);
+  assert.equal(cart.varTd, 801.22);
+});
+
+test("getBuybackPricing: discount below spot, truncated", () => {
+  // 30.12 * 0.88 * 3 = 79.5168
+  const one = getBuybackPricing(market(30.12), 1, SKU);
+  assert.deepEqual({ ...priced(one), discountPct: one.discountPct }, { varTu: 79.51, varTd: 79.51, discountPct: 12 });
+
+  const three = getBuybackPricing(market(30.12), 3, SKU);
+  assert.deepEqual({ ...priced(three), discountPct: three.discountPct }, { varTu: 79.99, varTd: 239.97, discountPct: 11.47 });
+
+  // 30.12 * 0.94 * 3 = 84.9384
+  const fifty = getBuybackPricing(market(30.12), 50, SKU);
+  assert.deepEqual({ ...priced(fifty), discountPct: fifty.discountPct }, { varTu: 84.93, varTd: 4246.5, discountPct: 6 });
+});
+
+test("convertLine: unit truncated after conversion, total recomputed", () => {
+  // 114.46 * 1.37 = 156.8102; 29.35 * 1.37 = 40.2095 (half-up)
+  assert.deepEqual(
+    convertLine({ varQ: 7, varS: 29.35, varTu: 114.46, varTd: 801.22 }, 1.37),
+    { varQ: 7, varS: 40.21, varTu: 156.81, varTd: 1097.67 }
+  );
+
+  // EUR at 1 / 1.087
+  assert.deepEqual(
+    convertLine({ varQ: 3, varS: 30.12, varTu: 117.32, varTd: 351.96 }, 0.9199632014719411),
+    { varQ: 3, varS: 27.71, varTu: 107.93, varTd: 323.79 }
+  );
+
+  assert.deepEqual(
+    convertLine({ varQ: 2, varS: 29.35, varTu: 118.08, varTd: 236.16 }, 1),
+    { varQ: 2, varS: 29.35, varTu: 118.08, varTd: 236.16 }
+  );
+});
@@ -0,0 +1,183 @@
+/**
+ * CUSTOMER PRICING TIERS
+ *
+ * Pricing profiles for wholesale and repeat-buyer accounts, loaded once at
+ * startup from config/tiers.json (or TIERS_PATH):
+ * - tiers       { [id]: { title, products: { [sku]: { curve, maxQ } } } }
+ *                 curve  premium curve keys overriding the SKU's (see catalog.js)
+ *                 maxQ   quantity cap replacing the SKU's
+ * - customers   { [Shopify customer id]: tier id }
+ * - tags        [{ tag, tier }], Shopify customer tags, first match wins
+ *
+ * A logged-in customer gets their listed tier, else the first tier one of
+ * their tags maps to, else standard pricing (the catalog as is). Overrides
+ * apply on top of the live curve, so admin changes still reach tiered
+ * customers for keys the tier leaves alone. Buybacks are not tiered.
+ *
+ * Customer tags come from a pluggable source (see useTagSource), cached
+ * for TAG_CACHE_MINUTES. A failed lookup prices at the standard tier.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { getProduct, checkProduct } = require("./catalog");
+const log = require("./logger");
+
+const TIERS_PATH =
+  process.env.TIERS_PATH || path.join(__dirname, "config", "tiers.json");
+
+const STANDARD_TIER_ID = "standard";
+
+const CURVE_KEYS = ["varA", "varB", "varC", "varD", "varX"];
+
+const TAG_CACHE_MINUTES = 10;
+// A failed lookup is retried sooner
+const TAG_FAILURE_CACHE_MINUTES = 1;
+
+const STANDARD_TIER = Object.freeze({
+  id: STANDARD_TIER_ID,
+  title: "Standard",
+  source: null,
+  products: {}
+});
+
+/* -----------------------------
+   LOADING
+-------------------------------- */
+
+function loadTiers(file = TIERS_PATH) {
+  if (!fs.existsSync(file)) return { tiers: {}, customers: {}, tags: [] };
+
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const tiers = raw.tiers || {};
+
+  for (const [id, tier] of Object.entries(tiers)) {
+    const fail = (msg) => {
+      throw new Error(`Tier ${id}: ${msg}`);
+    };
+
+    if (id === STANDARD_TIER_ID) fail(`"${STANDARD_TIER_ID}" is reserved`);
+    if (!tier.title || typeof tier.title !== "string") fail("missing title");
+
+    for (const [sku, override] of Object.entries(tier.products || {})) {
+      const product = getProduct(sku);
+      if (!product) fail(`unknown product "${sku}"`);
+
+      const unknown = Object.keys(override.curve || {}).find((k) => !CURVE_KEYS.includes(k));
+      if (unknown) fail(`${sku}.curve.${unknown} is not a curve key`);
+
+      const error = checkProduct(sku, applyOverride(product, override));
+      if (error) fail(error);
+    }
+  }
+
+  const customers = raw.customers || {};
+  for (const [customerId, id] of Object.entries(customers)) {
+    if (!Object.hasOwn(tiers, id)) throw new Error(`Tiers: customer ${customerId} has unknown tier "${id}"`);
+  }
+
+  const tags = raw.tags || [];
+  for (const rule of tags) {
+    if (!rule.tag || typeof rule.tag !== "string") throw new Error("Tiers: tag rule without tag");
+    if (!Object.hasOwn(tiers, rule.tier)) throw new Error(`Tiers: tag "${rule.tag}" has unknown tier "${rule.tier}"`);
+  }
+
+  return { tiers, customers, tags };
+}
+
+function applyOverride(product, { curve = {}, maxQ } = {}) {
+  return {
+    ...product,
+    curve: { ...product.curve, ...curve },
+    maxQ: maxQ ?? product.maxQ
+  };
+}
+
+const config = loadTiers();
+
+/* -----------------------------
+   TAG SOURCE
+-------------------------------- */
+
+// No source: only customers listed by id get a tier
+let tagSource = null;
+
+// `${shop}:${customerId}` -> { tags, expiresAt }
+const tagCache = new Map();
+
+/**
+ * source(shop, customerId) -> Promise<string[]>: the customer's tags
+ */
+function useTagSource(source) {
+  tagSource = source;
+  tagCache.clear();
+}
+
+async function customerTags(shop, customerId) {
+  const key = `${shop}:${customerId}`;
+  const hit = tagCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.tags;
+
+  let tags = [];
+  let minutes = TAG_CACHE_MINUTES;
+  try {
+    tags = await tagSource(shop, customerId);
+  } catch (err) {
+    log.warn("Customer tags unavailable, standard tier used", { shop, customerId, err });
+    minutes = TAG_FAILURE_CACHE_MINUTES;
+  }
+
+  tagCache.set(key, { tags, expiresAt: Date.now() + minutes * 60 * 1000 });
+  return tags;
+}
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+function tierFor(id, source) {
+  const tier = config.tiers[id];
+  return { id, title: tier.title, source, products: tier.products || {} };
+}
+
+/**
+ * Tier for a signed proxy customer ({ shop, customerId } or null)
+ * Returns { id, title, source, products }; source: "customer" | "tag" | null
+ */
+async function resolveTier(customer) {
+  if (!customer) return STANDARD_TIER;
+
+  if (Object.hasOwn(config.customers, customer.customerId)) {
+    return tierFor(config.customers[customer.customerId], "customer");
+  }
+
+  if (!tagSource || config.tags.length === 0) return STANDARD_TIER;
+
+  const tags = (await customerTags(customer.shop, customer.customerId))
+    .map((t) => t.toLowerCase());
+  const rule = config.tags.find((r) => tags.includes(r.tag.toLowerCase()));
+
+  return rule ? tierFor(rule.tier, "tag") : STANDARD_TIER;
+}
+
+/* Product definition (see catalog.js) with the tier's curve and maxQ applied */
+function applyTier(product, tier) {
+  if (!product || !tier?.products || !Object.hasOwn(tier.products, product.sku)) return product;
+  return applyOverride(product, tier.products[product.sku]);
+}
+
+/* Public summary for responses */
+function tierSummary(tier) {
+  return { id: tier.id, title: tier.title, source: tier.source };
+}
+
+module.exports = {
+  resolveTier,
+  applyTier,
+  tierSummary,
+  useTagSource,
+
+  STANDARD_TIER,
+  STANDARD_TIER_ID
+};
@@ -0,0 +1,55 @@
+/**
+ * SHOP TOKEN STORE
+ *
+ * Offline Admin API access tokens, one per installed shop.
+ * Persisted through storage.js so installs survive restarts.
+ */
+
+const storage = require("./storage");
+
+const DOC = "shop-tokens";
+
+// Loaded lazily from storage, then kept in memory
+let tokens = null;
+
+function load() {
+  if (!tokens) tokens = storage.readDoc(DOC) || {};
+  return tokens;
+}
+
+function persist() {
+  storage.writeDoc(DOC, tokens);
+}
+
+function saveToken(shop, { accessToken, scope }) {
+  load()[shop] = {
+    accessToken,
+    scope,
+    installedAt: new Date().toISOString()
+  };
+  persist();
+}
+
+function getToken(shop) {
+  return load()[shop]?.accessToken || null;
+}
+
+/* Forget a shop's token (uninstall). Returns true if one was stored */
+function revokeToken(shop) {
+  if (!load()[shop]) return false;
+
+  delete tokens[shop];
+  persist();
+  return true;
+}
+
+function listShops() {
+  return Object.keys(load());
+}
+
+module.exports = {
+  saveToken,
+  getToken,
+  revokeToken,
+  listShops
+};
@@ -0,0 +1,118 @@
+/**
+ * TRADING RULES
+ *
+ * Market-status-aware policy for pricing and checkout, loaded once at
+ * startup from config/trading-rules.json (or TRADING_RULES_PATH).
+ *
+ * One policy per status (open, break, freeze, closed):
+ * - action               "allow" | "block" | "premium"
+ * - extraPremiumPct      premium points added on top of the curve ("premium" only)
+ * - quoteExpiryMinutes   optional shorter quote lifetime
+ * - draftExpiryMinutes   optional shorter draft order lifetime
+ *
+ * Every evaluation carries a machine-readable `reason` for the storefront.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  MARKET_CLOSED,
+  MARKET_OPEN,
+  MARKET_BREAK,
+  MARKET_FREEZE
+} = require("./marketStatus");
+
+const TRADING_RULES_PATH =
+  process.env.TRADING_RULES_PATH || path.join(__dirname, "config", "trading-rules.json");
+
+const ACTION_ALLOW   = "allow";
+const ACTION_BLOCK   = "block";
+const ACTION_PREMIUM = "premium";
+
+const STATUS_NAMES = {
+  [MARKET_OPEN]: "open",
+  [MARKET_BREAK]: "break",
+  [MARKET_FREEZE]: "freeze",
+  [MARKET_CLOSED]: "closed"
+};
+
+/* -----------------------------
+   LOADING
+-------------------------------- */
+
+function loadTradingRules(file = TRADING_RULES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  for (const name of Object.values(STATUS_NAMES)) {
+    const rule = raw[name];
+    const fail = (msg) => {
+      throw new Error(`Trading rules ${name}: ${msg}`);
+    };
+
+    if (!rule) fail("missing policy");
+    if (![ACTION_ALLOW, ACTION_BLOCK, ACTION_PREMIUM].includes(rule.action)) {
+      fail("action must be allow, block or premium");
+    }
+    if (rule.action === ACTION_PREMIUM &&
+        !(Number.isFinite(rule.extraPremiumPct) && rule.extraPremiumPct >= 0)) {
+      fail("premium needs extraPremiumPct >= 0");
+    }
+    for (const key of ["quoteExpiryMinutes", "draftExpiryMinutes"]) {
+      if (rule[key] !== undefined && !(Number.isFinite(rule[key]) && rule[key] > 0)) {
+        fail(`${key} must be > 0`);
+      }
+    }
+  }
+
+  return raw;
+}
+
+const rules = loadTradingRules();
+
+/* -----------------------------
+   PUBLIC API
+-------------------------------- */
+
+/**
+ * Policy for a market status code
+ * Returns { allowed, action, reason, extraPremiumPct, quoteExpiryMinutes, draftExpiryMinutes }
+ * Unknown status (no data yet) blocks.
+ */
+function evaluateTradingRules(varMStatus) {
+  const name = STATUS_NAMES[varMStatus];
+  if (!name) {
+    return {
+      allowed: false,
+      action: ACTION_BLOCK,
+      reason: "market_status_unknown",
+      extraPremiumPct: 0,
+      quoteExpiryMinutes: null,
+      draftExpiryMinutes: null
+    };
+  }
+
+  const rule = rules[name];
+  return {
+    allowed: rule.action !== ACTION_BLOCK,
+    action: rule.action,
+    reason: `market_${name}`,
+    extraPremiumPct: rule.action === ACTION_PREMIUM ? rule.extraPremiumPct : 0,
+    quoteExpiryMinutes: rule.quoteExpiryMinutes ?? null,
+    draftExpiryMinutes: rule.draftExpiryMinutes ?? null
+  };
+}
+
+/* Public summary for responses */
+function tradingSummary(policy) {
+  return {
+    action: policy.action,
+    reason: policy.reason,
+    extraPremiumPct: policy.extraPremiumPct
+  };
+}
+
+module.exports = {
+  evaluateTradingRules,
+  tradingSummary
+};
@@ -0,0 +1,130 @@
+/**
+ * SHOPIFY WEBHOOKS
+ *
+ * Verifies and handles lifecycle webhooks:
+ * - draft_orders/update   completed drafts
+ * - draft_orders/delete   deleted drafts
+ * - orders/create         orders completed from our drafts
+ * - app/uninstalled       revoke the shop's stored token
+ *
+ * Handlers are idempotent: Shopify retries deliveries.
+ */
+
+const crypto = require("crypto");
+
+const {
+  findDraftByQuoteRef,
+  closeDraft,
+  DRAFT_COMPLETED,
+  DRAFT_DELETED
+} = require("./drafts");
+const { revokeToken } = require("./tokenStore");
+const log = require("./logger");
+const { request, HttpStatusError } = require("./httpClient");
+
+const WEBHOOK_TOPICS = [
+  "draft_orders/update",
+  "draft_orders/delete",
+  "orders/create",
+  "app/uninstalled"
+];
+
+// Note attribute carrying the quote nonce from draft to order
+const QUOTE_REF_ATTRIBUTE = "quote_ref";
+
+/* -----------------------------
+   VERIFICATION
+-------------------------------- */
+
+/* X-Shopify-Hmac-Sha256: base64 HMAC-SHA256 of the raw request body */
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || typeof hmacHeader !== "string" || !secret) return false;
+
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("base64");
+
+  const expected = Buffer.from(digest);
+  const given = Buffer.from(hmacHeader);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/* -----------------------------
+   HANDLERS
+-------------------------------- */
+
+const handlers = {
+  "draft_orders/update": (shop, draft) => {
+    if (draft?.status === "completed") {
+      closeDraft(String(draft.id), DRAFT_COMPLETED, {
+        orderId: draft.order_id ? String(draft.order_id) : null
+      });
+    }
+  },
+
+  "draft_orders/delete": (shop, draft) => {
+    closeDraft(String(draft?.id), DRAFT_DELETED);
+  },
+
+  "orders/create": (shop, order) => {
+    const ref = (order?.note_attributes || [])
+      .find((a) => a.name === QUOTE_REF_ATTRIBUTE)?.value;
+    if (!ref) return;
+
+    const draft = findDraftByQuoteRef(ref);
+    if (draft) {
+      closeDraft(draft.draftId, DRAFT_COMPLETED, { orderId: String(order.id) });
+    }
+  },
+
+  "app/uninstalled": (shop) => {
+    if (revokeToken(shop)) {
+      log.info("App uninstalled, token revoked", { shop });
+    }
+  }
+};
+
+/**
+ * Dispatch a verified webhook
+ * Returns false for topics this app does not handle
+ */
+function handleWebhook(topic, shop, payload) {
+  if (typeof topic !== "string" || !Object.hasOwn(handlers, topic)) return false;
+
+  handlers[topic](shop, payload);
+  return true;
+}
+
+/* -----------------------------
+   REGISTRATION
+-------------------------------- */
+
+/* Subscribe a freshly installed shop to every handled topic */
+async function registerWebhooks(shop, token, address) {
+  for (const topic of WEBHOOK_TOPICS) {
+    try {
+      await request(`https://${shop}/admin/api/2024-01/webhooks.json`, {
+        service: "shopify",
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Shopify-Access-Token": token
+        },
+        body: JSON.stringify({ webhook: { topic, address, format: "json" } }),
+        expect: "none"
+      });
+    } catch (err) {
+      // 422 = already subscribed
+      if (err instanceof HttpStatusError && err.status === 422) continue;
+      log.error("Webhook registration failed", { shop, topic, err });
+    }
+  }
+}
+
+module.exports = {
+  verifyWebhookHmac,
+  handleWebhook,
+  registerWebhooks,
+  QUOTE_REF_ATTRIBUTE
+};